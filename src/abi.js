@@ -1,3 +1,5 @@
+import { ethers } from 'ethers';
+
 // GiraffeRace Diamond Contract ABI (Key Functions)
 export const GIRAFFE_RACE_ABI = [
   // Bot Dashboard - single function for all bot decisions
@@ -15,6 +17,22 @@ export const GIRAFFE_RACE_ABI = [
     stateMutability: 'view'
   },
   
+  // Race results (used by the calibration report)
+  // positions[lane] is the lane's 0-based finishing position; dead-heated lanes share a position
+  // UNVERIFIED: layout assumed, not yet confirmed against the contract source
+  {
+    type: 'function',
+    name: 'getRaceResult',
+    inputs: [{ name: 'raceId', type: 'uint256' }],
+    outputs: [
+      { name: 'settled', type: 'bool' },
+      { name: 'seed', type: 'bytes32' },
+      { name: 'scores', type: 'uint8[6]' },
+      { name: 'positions', type: 'uint8[6]' }
+    ],
+    stateMutability: 'view'
+  },
+  
   // Write functions
   {
     type: 'function',
@@ -93,8 +111,54 @@ export const GIRAFFE_RACE_ABI = [
     outputs: [{ name: '', type: 'uint8' }],
     stateMutability: 'view'
   },
+  
+  // Race lifecycle events (event-driven mode names the logs it wakes on with these)
+  // UNVERIFIED: signatures assumed, not yet confirmed against the contract source - they
+  // only label logs, the event source doesn't filter on them
+  {
+    type: 'event',
+    name: 'RaceCreated',
+    inputs: [{ name: 'raceId', type: 'uint256', indexed: true }],
+    anonymous: false
+  },
+  {
+    type: 'event',
+    name: 'OddsSet',
+    inputs: [{ name: 'raceId', type: 'uint256', indexed: true }],
+    anonymous: false
+  },
+  {
+    type: 'event',
+    name: 'RaceSettled',
+    inputs: [{ name: 'raceId', type: 'uint256', indexed: true }],
+    anonymous: false
+  },
+  {
+    type: 'event',
+    name: 'RaceCancelled',
+    inputs: [{ name: 'raceId', type: 'uint256', indexed: true }],
+    anonymous: false
+  },
+  
+  // Custom errors (decoded by decodeContractError)
+  { type: 'error', name: 'NotRaceBot', inputs: [] },
+  { type: 'error', name: 'OddsWindowExpired', inputs: [] },
+  { type: 'error', name: 'OddsAlreadySet', inputs: [] },
+  { type: 'error', name: 'OddsNotSet', inputs: [] },
+  { type: 'error', name: 'OddsWindowNotExpired', inputs: [] },
+  { type: 'error', name: 'InvalidRace', inputs: [] },
+  { type: 'error', name: 'AlreadyCancelled', inputs: [] },
+  { type: 'error', name: 'AlreadySettled', inputs: [] },
+  { type: 'error', name: 'PreviousRaceNotSettled', inputs: [] },
+  { type: 'error', name: 'CooldownNotElapsed', inputs: [] },
+  { type: 'error', name: 'OddsWindowActive', inputs: [] },
+  { type: 'error', name: 'BettingClosed', inputs: [] },
+  { type: 'error', name: 'BettingNotClosed', inputs: [] },
 ];
 
+// Events that change what getBotDashboard returns
+export const RACE_EVENTS = ['RaceCreated', 'OddsSet', 'RaceSettled', 'RaceCancelled'];
+
 // Bot action constants (match contract)
 export const BOT_ACTION = {
   NONE: 0,
@@ -113,6 +177,7 @@ export const BOT_ACTION_NAMES = {
 };
 
 // Custom error selectors (first 4 bytes of keccak256 hash)
+// Kept as a reference for reading raw revert data; verifyErrorSelectors() checks it against the ABI
 export const CONTRACT_ERRORS = {
   '0x2a66a557': 'NotRaceBot',
   '0x5ea20ad6': 'OddsWindowExpired',
@@ -129,33 +194,93 @@ export const CONTRACT_ERRORS = {
   '0x4b5956ac': 'BettingNotClosed',
 };
 
+export const GIRAFFE_RACE_INTERFACE = new ethers.Interface(GIRAFFE_RACE_ABI);
+
+/**
+ * Check every ABI error fragment against keccak256 of its signature and against
+ * CONTRACT_ERRORS. Run at startup so a typo in either table fails fast instead of
+ * silently mis-decoding reverts.
+ * @returns {string[]} Problems found (empty when consistent)
+ */
+export function verifyErrorSelectors() {
+  const problems = [];
+  const seen = new Set();
+  GIRAFFE_RACE_INTERFACE.forEachError(fragment => {
+    const expected = ethers.id(fragment.format('sighash')).slice(0, 10);
+    seen.add(fragment.selector);
+    if (fragment.selector !== expected) {
+      problems.push(`${fragment.format('sighash')}: selector ${fragment.selector} != keccak ${expected}`);
+    }
+    if (CONTRACT_ERRORS[fragment.selector] !== fragment.name) {
+      problems.push(`${fragment.format('sighash')}: ${expected} missing from CONTRACT_ERRORS`);
+    }
+  });
+  for (const [selector, name] of Object.entries(CONTRACT_ERRORS)) {
+    if (!seen.has(selector)) problems.push(`CONTRACT_ERRORS ${selector} (${name}) has no ABI error fragment`);
+  }
+  return problems;
+}
+
+// Revert data can sit at different depths depending on the RPC and the ethers call path
+function findRevertData(error) {
+  const candidates = [error.data, error.error?.data, error.info?.error?.data, error.error?.error?.data];
+  for (const data of candidates) {
+    if (typeof data === 'string' && /^0x[0-9a-fA-F]*$/.test(data)) return data;
+    if (typeof data?.data === 'string') return data.data;
+  }
+  return null;
+}
+
+function formatArgValue(value) {
+  return typeof value === 'bigint' ? value.toString() : String(value);
+}
+
 /**
  * Decode a custom error from transaction revert data
+ *
  * @param {Error} error - The error object from ethers
- * @returns {string} - Human-readable error message
+ * @param {string|null} [rpc] - RPC URL the error came from; defaults to the one the
+ *   provider pool tagged the error with (null if it never reached an RPC)
+ * @returns {{ name: string|null, args: Object, selector: string|null, data: string|null, rpc: string|null, known: boolean, message: string, toString: () => string }}
+ *   `name` is the custom error name (null for unknown selectors and non-revert failures);
+ *   `message` is human-readable, e.g. "CooldownNotElapsed" or "Unknown custom error 0x12345678"
  */
-export function decodeContractError(error) {
-  // Check for revert data in various places ethers might put it
-  const data = error.data || error.error?.data || error.transaction?.data;
+export function decodeContractError(error, rpc = error?.rpc ?? null) {
+  const data = findRevertData(error);
+  const decoded = {
+    name: null,
+    args: {},
+    selector: data && data.length >= 10 ? data.slice(0, 10).toLowerCase() : null,
+    data,
+    rpc,
+    known: false,
+    message: error.shortMessage || error.message || 'Unknown error',
+    toString() {
+      return this.message;
+    },
+  };
   
-  if (data && typeof data === 'string') {
-    const selector = data.slice(0, 10).toLowerCase();
-    const errorName = CONTRACT_ERRORS[selector];
-    if (errorName) {
-      return errorName;
+  if (decoded.selector) {
+    let description = null;
+    try {
+      description = GIRAFFE_RACE_INTERFACE.parseError(data);
+    } catch {
+      // Known selector with malformed arguments - reported below as undecodable
     }
-  }
-  
-  // Check error message for selector patterns
-  const message = error.message || '';
-  for (const [selector, name] of Object.entries(CONTRACT_ERRORS)) {
-    if (message.toLowerCase().includes(selector.toLowerCase())) {
-      return name;
+    if (description) {
+      decoded.name = description.name;
+      decoded.known = true;
+      description.fragment.inputs.forEach((input, i) => {
+        decoded.args[input.name || i] = description.args[i];
+      });
+      const argList = Object.entries(decoded.args).map(([key, value]) => `${key}=${formatArgValue(value)}`);
+      decoded.message = argList.length > 0 ? `${description.name}(${argList.join(', ')})` : description.name;
+    } else {
+      decoded.message = `Unknown custom error ${decoded.selector} (data: ${data})`;
     }
   }
   
-  // Return original message if no custom error found
-  return error.shortMessage || error.message || 'Unknown error';
+  return decoded;
 }
 
 export default GIRAFFE_RACE_ABI;
@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import config from './config.js';
+import { AlertManager, createSinks } from './alerts.js';
+
+// ============================================================================
+// ALERT TEST
+// ============================================================================
+//
+// Usage: npm run alert:test
+//
+// Sends a sample alert through every sink configured in ALERT_* (or the config file's
+// alerts section) and reports which ones delivered it. Exits non-zero when no sink is
+// configured or any delivery failed.
+
+function log(emoji, message) {
+  console.log(`[${new Date().toISOString()}] ${emoji} ${message}`);
+}
+
+async function main() {
+  const sinks = createSinks(config.alerts);
+  if (sinks.length === 0) {
+    console.error('❌ No alert sinks configured (set ALERT_WEBHOOK_URL, ALERT_DISCORD_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL or ALERT_SMTP_URL)');
+    process.exit(1);
+  }
+
+  log('🔔', `Sending a test alert via ${sinks.map(sink => sink.name).join(', ')}...`);
+  const alerts = new AlertManager({ sinks, thresholds: {}, cooldownMs: 0, log });
+  const results = await alerts.notify({
+    rule: 'test',
+    severity: 'test',
+    title: 'Test alert',
+    message: 'This is a test alert from the Giraffe Race bot - alerting is set up correctly.',
+    details: { contract: config.giraffeRaceContract, chainId: config.chainId },
+  });
+
+  for (const result of results) {
+    log(result.ok ? '✅' : '❌', `${result.sink}: ${result.ok ? 'delivered' : result.error}`);
+  }
+  if (results.some(result => !result.ok)) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  log('💥', `Fatal error: ${error.message}`);
+  console.error(error);
+  process.exit(1);
+});
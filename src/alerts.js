@@ -0,0 +1,236 @@
+/**
+ * Alerting: rules decide when a problem is worth a notification, sinks deliver it.
+ *
+ * Rules (thresholds in config.alerts.rules, 0 turns a rule off) count occurrences in a
+ * row and fire once the threshold is reached:
+ *   - settleFailed:  settleRace failed (not a pre-flight "wait") - reset by a settlement
+ *   - raceCancelled: a race was cancelled because its odds weren't set - reset by an odds set
+ *   - rpcExhausted:  a read failed on every RPC in the pool - reset by a successful read
+ *   - lowBalance:    a balance check came in below wallet.lowBalanceEth - reset when topped up
+ *
+ * A fired alert is not repeated for cooldownMs while the problem continues. When a rule
+ * that fired is reset, a "resolved" notification follows.
+ *
+ * Sinks: generic webhook (JSON alert as-is), Discord and Slack incoming webhooks, and
+ * email over SMTP. Delivery failures are logged, never thrown into the bot loop.
+ */
+
+import { sendMail } from './smtp.js';
+
+export const ALERT_RULES = {
+  settleFailed: { severity: 'critical', title: 'Race settlement failing' },
+  raceCancelled: { severity: 'warning', title: 'Race cancelled - odds not set in time' },
+  rpcExhausted: { severity: 'critical', title: 'All RPC providers failing' },
+  lowBalance: { severity: 'warning', title: 'Bot wallet balance low' },
+};
+
+const SEVERITY_EMOJI = { critical: '🚨', warning: '⚠️', resolved: '✅', test: '🧪' };
+
+// -----------------------
+// Sinks
+// -----------------------
+
+async function postJson(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+function heading(alert) {
+  return `${SEVERITY_EMOJI[alert.severity] ?? '🔔'} ${alert.title}${alert.deployment ? ` [${alert.deployment}]` : ''}`;
+}
+
+/** POSTs the alert object as JSON. */
+export class WebhookSink {
+  constructor(url, timeoutMs = 10000) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    return postJson(this.url, alert, this.timeoutMs);
+  }
+}
+
+/** Discord incoming webhook. */
+export class DiscordSink {
+  constructor(url, timeoutMs = 10000) {
+    this.name = 'discord';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    // Discord rejects content over 2000 characters
+    const content = `**${heading(alert)}**\n${alert.message}`.slice(0, 2000);
+    return postJson(this.url, { username: 'Giraffe Race Bot', content }, this.timeoutMs);
+  }
+}
+
+/** Slack incoming webhook (also accepted by Mattermost and Rocket.Chat). */
+export class SlackSink {
+  constructor(url, timeoutMs = 10000) {
+    this.name = 'slack';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(alert) {
+    return postJson(this.url, { text: `*${heading(alert)}*\n${alert.message}` }, this.timeoutMs);
+  }
+}
+
+/** Email via SMTP (see smtp.js). */
+export class EmailSink {
+  constructor({ url, from, to }) {
+    this.name = 'email';
+    this.url = url;
+    this.from = from;
+    this.to = to;
+  }
+
+  send(alert) {
+    const details = Object.entries(alert.details ?? {}).map(([key, value]) => `${key}: ${value}`);
+    return sendMail(this.url, {
+      from: this.from,
+      to: this.to,
+      subject: heading(alert),
+      text: [alert.message, '', ...details, `time: ${alert.timestamp}`].join('\n'),
+    });
+  }
+}
+
+/**
+ * Sinks configured in config.alerts.
+ * @param {Object} options - config.alerts
+ * @returns {Array<WebhookSink|DiscordSink|SlackSink|EmailSink>}
+ */
+export function createSinks(options) {
+  const sinks = [];
+  if (options.webhookUrl) sinks.push(new WebhookSink(options.webhookUrl));
+  if (options.discordWebhookUrl) sinks.push(new DiscordSink(options.discordWebhookUrl));
+  if (options.slackWebhookUrl) sinks.push(new SlackSink(options.slackWebhookUrl));
+  if (options.smtpUrl) sinks.push(new EmailSink({ url: options.smtpUrl, from: options.emailFrom, to: options.emailTo }));
+  return sinks;
+}
+
+// -----------------------
+// Rules
+// -----------------------
+
+export class AlertManager {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.sinks - From createSinks
+   * @param {Object<string, number>} options.thresholds - Occurrences in a row per rule (0 = off)
+   * @param {number} options.cooldownMs - Minimum time between repeats of one alert
+   * @param {string|null} [options.deployment=null] - Included in every alert
+   * @param {(emoji: string, message: string, fields?: Object) => void} options.log
+   */
+  constructor({ sinks, thresholds, cooldownMs, deployment = null, log }) {
+    this.sinks = sinks;
+    this.thresholds = thresholds;
+    this.cooldownMs = cooldownMs;
+    this.deployment = deployment;
+    this.log = log;
+    // rule -> { count, firedAt, lastMessage }
+    this.state = new Map();
+  }
+
+  /**
+   * Count one occurrence; fires the rule's alert at its threshold, then at most once per cooldown.
+   * @param {string} rule - Key of ALERT_RULES
+   * @param {string} message
+   * @param {Object} [details] - Extra fields for the alert payload
+   * @returns {Promise<void>} Settles when delivery finished (callers needn't wait)
+   */
+  record(rule, message, details = {}) {
+    const threshold = this.thresholds[rule] ?? 0;
+    if (threshold === 0) return Promise.resolve();
+    const state = this.state.get(rule) ?? { count: 0, firedAt: null };
+    state.count++;
+    state.lastMessage = message;
+    this.state.set(rule, state);
+
+    const now = Date.now();
+    if (state.count < threshold || (state.firedAt !== null && now - state.firedAt < this.cooldownMs)) {
+      return Promise.resolve();
+    }
+    state.firedAt = now;
+    const { severity, title } = ALERT_RULES[rule];
+    return this.notify({
+      rule,
+      severity,
+      title,
+      message: state.count > 1 ? `${message} (${state.count} in a row)` : message,
+      details: { ...details, occurrences: state.count },
+    });
+  }
+
+  /**
+   * The problem behind `rule` is over: reset its count and say so if it had alerted.
+   * @param {string} rule
+   * @param {string} [message]
+   * @returns {Promise<void>}
+   */
+  resolve(rule, message = 'Back to normal') {
+    const state = this.state.get(rule);
+    if (!state) return Promise.resolve();
+    this.state.delete(rule);
+    if (state.firedAt === null) return Promise.resolve();
+    return this.notify({
+      rule,
+      severity: 'resolved',
+      title: `Resolved: ${ALERT_RULES[rule].title}`,
+      message,
+      details: { lastProblem: state.lastMessage },
+    });
+  }
+
+  /**
+   * Deliver an alert to every sink.
+   * @param {{ rule: string, severity: string, title: string, message: string, details?: Object }} alert
+   * @returns {Promise<Array<{ sink: string, ok: boolean, error?: string }>>}
+   */
+  async notify(alert) {
+    const payload = {
+      ...alert,
+      deployment: this.deployment,
+      timestamp: new Date().toISOString(),
+    };
+    this.log(SEVERITY_EMOJI[alert.severity] ?? '🔔', `Alert: ${alert.title} - ${alert.message}${this.sinks.length === 0 ? ' (no alert sinks configured)' : ''}`, { alert: alert.rule });
+    return Promise.all(this.sinks.map(async sink => {
+      try {
+        await sink.send(payload);
+        return { sink: sink.name, ok: true };
+      } catch (error) {
+        this.log('⚠️', `Alert delivery via ${sink.name} failed: ${error.message}`, { alert: alert.rule });
+        return { sink: sink.name, ok: false, error: error.message };
+      }
+    }));
+  }
+}
+
+/**
+ * @param {Object} config - Deployment config
+ * @param {Function} log
+ * @returns {AlertManager}
+ */
+export function createAlerts(config, log) {
+  return new AlertManager({
+    sinks: createSinks(config.alerts),
+    thresholds: config.alerts.rules,
+    cooldownMs: config.alerts.cooldownMs,
+    deployment: config.name ?? null,
+    log,
+  });
+}
+
+export default AlertManager;
@@ -0,0 +1,1417 @@
+/**
+ * One bot instance: RPC pool, signer, transaction manager, ledger and main loop for a
+ * single GiraffeRace deployment. index.js creates one per configured deployment.
+ */
+
+import { hostname } from 'os';
+import { ethers } from 'ethers';
+import { GIRAFFE_RACE_ABI, BOT_ACTION, BOT_ACTION_NAMES, decodeContractError } from './abi.js';
+import { calculateProbabilities, calculateProbabilitiesParallel, calculateProbabilitiesExact, formatProbabilitiesForLog } from './monte-carlo.js';
+import { normalizeProbabilities, formatProbabilityDiff } from './probability-validation.js';
+import { RaceLedger, LEDGER_FILE } from './ledger.js';
+import { fetchL1Fee, estimateRunway } from './runway.js';
+import { metrics } from './metrics.js';
+import { createBotState } from './status-server.js';
+import { logger, withLogContext } from './logger.js';
+import { TransactionManager } from './tx-manager.js';
+import { preflight, PREFLIGHT_DECISION } from './preflight.js';
+import { ChainEventSource } from './event-source.js';
+import { ProviderPool } from './provider-pool.js';
+import { quorumRead } from './quorum.js';
+import { runStartupChecks } from './startup-checks.js';
+import { InFlightStore } from './inflight.js';
+import { LeaderElection, FileLease, RedisLease, leaseFileFor } from './leader.js';
+import { createSchedulePolicy } from './schedule.js';
+import { createAlerts } from './alerts.js';
+
+/**
+ * @param {Object} config - Deployment config (see deployments.js)
+ * @param {import('ethers').Signer} signer - Loaded, unconnected signer (see signer.js)
+ * @returns {{ name: string|null, run: () => Promise<void> }}
+ */
+export function createBot(config, signer) {
+  // State shared with the status server (/health, /status)
+  const botState = createBotState(config.name);
+
+  // Metric series are labelled by deployment when more than one runs in this process
+  function metricLabels(labels = {}) {
+    return config.name ? { deployment: config.name, ...labels } : labels;
+  }
+
+  // Health-scored RPC pool: reads go to the healthiest provider, writes to the preferred one
+  const providerPool = new ProviderPool(config.fallbackRpcs, {
+    chainId: config.chainId,
+    maxBlockLag: config.rpcPool.maxBlockLag,
+    writeRpc: config.rpcPool.writeRpc,
+    attemptsPerProvider: config.rpcPool.attemptsPerProvider,
+    retryDelayMs: config.rpcPool.retryDelayMs,
+  });
+
+  // Write side: the signer is loaded once and re-attached when the write provider changes
+  let writeRpc = providerPool.writeEntry().url;
+  let provider = providerPool.writeEntry().provider;
+  let wallet = signer.connect(provider);
+  let giraffeRace = new ethers.Contract(
+    config.giraffeRaceContract,
+    GIRAFFE_RACE_ABI,
+    wallet
+  );
+
+  // Read-only contract per RPC, for dashboard reads through the pool
+  const readContracts = new Map();
+  function readContract(readProvider, url) {
+    if (!readContracts.has(url)) {
+      readContracts.set(url, new ethers.Contract(config.giraffeRaceContract, GIRAFFE_RACE_ABI, readProvider));
+    }
+    return readContracts.get(url);
+  }
+
+  // Move the signer to the pool's write provider if it changed (preferred RPC stuck or failing)
+  function refreshWriteProvider() {
+    const entry = providerPool.writeEntry();
+    if (entry.url === writeRpc) return;
+    writeRpc = entry.url;
+    provider = entry.provider;
+    wallet = signer.connect(provider);
+    giraffeRace = new ethers.Contract(
+      config.giraffeRaceContract,
+      GIRAFFE_RACE_ABI,
+      wallet
+    );
+    botState.rpc = writeRpc;
+    log('🔀', `Switched write RPC to: ${writeRpc}`, { rpc: writeRpc });
+  }
+
+  // ============================================================================
+  // TRANSACTION MANAGER
+  // ============================================================================
+
+  // Aborted by stop(): loops exit after the current step, sleeps and receipt waits end early
+  const shutdown = new AbortController();
+  
+  // Sent-but-unresolved transactions, persisted so a restart can reconcile them
+  const inFlight = new InFlightStore(config.stateFile);
+  
+  // Follows refreshWriteProvider() through getSigner; nonces are tracked locally across sends.
+  // Each send tries the write provider first, then the next healthy one (see sendViaPool)
+  const txManager = new TransactionManager({
+    getSigner: () => wallet,
+    confirmationTimeoutMs: config.transactions.confirmationTimeoutMs,
+    feeBumpPercent: config.transactions.feeBumpPercent,
+    maxFeePerGasCap: ethers.parseUnits(config.transactions.maxFeePerGasGwei, 'gwei'),
+    maxReplacements: config.transactions.maxReplacements,
+    receiptPollMs: config.bot.pollIntervalMs,
+    log: (emoji, message, fields) => log(emoji, message, fields),
+    inFlight,
+    signal: shutdown.signal,
+    isLeader: () => isLeader(),
+    sendTransaction: request => sendViaPool(request),
+  });
+  
+  // Sends and pre-flight simulations go through the pool: a failure counts against the
+  // provider's health score and the next healthy provider is tried straight away
+  function writeViaPool(fn) {
+    return providerPool.write(fn, (entry, error) => {
+      log('🔀', `Write RPC failed (${error.shortMessage || error.message}) - retrying via ${entry.url}`, { rpc: entry.url });
+    }).finally(() => refreshWriteProvider());
+  }
+  
+  function sendViaPool(request) {
+    return writeViaPool(writeProvider => signer.connect(writeProvider).sendTransaction(request));
+  }
+  
+  // The contract with the signer on a given pool provider (the current write one is reused)
+  function writeContractOn(writeProvider, url) {
+    return url === writeRpc
+      ? giraffeRace
+      : new ethers.Contract(config.giraffeRaceContract, GIRAFFE_RACE_ABI, signer.connect(writeProvider));
+  }
+
+  // ============================================================================
+  // LEADER ELECTION
+  // ============================================================================
+
+  // Only the lease holder sends; null when leader election is off (always send)
+  const election = config.leader.enabled ? createElection() : null;
+
+  // Set on becoming leader; the next iteration resyncs the nonce and reconciles before acting
+  let takeoverPending = false;
+
+  function createElection() {
+    const options = config.leader;
+    const lease = options.backend === 'redis'
+      ? new RedisLease(options.redisUrl, config.name ? `${options.redisKey}:${config.name}` : options.redisKey)
+      : new FileLease(leaseFileFor(options.lockFile, config.name));
+    const instance = new LeaderElection(lease, {
+      instanceId: options.instanceId ?? `${hostname()}:${process.pid}`,
+      leaseMs: options.leaseMs,
+      renewIntervalMs: options.renewIntervalMs ?? Math.floor(options.leaseMs / 3),
+    });
+    instance.on('elected', () => {
+      takeoverPending = true;
+      updateRole();
+      log('👑', `Elected leader (${instance.instanceId}) - sending transactions`, { role: 'leader' });
+    });
+    instance.on('demoted', ({ holder }) => {
+      updateRole();
+      log('🪑', `Lost the leader lease${holder ? ` to ${holder}` : ''} - standing by as follower`, { role: 'follower' });
+    });
+    instance.on('error', error => log('⚠️', `Leader lease ${lease.describe()} unavailable: ${error.message}`));
+    return instance;
+  }
+
+  function updateRole() {
+    botState.role = election.role();
+    botState.leader = election.isLeader() ? election.instanceId : election.holder;
+    metrics.isLeader.set(election.isLeader() ? 1 : 0, metricLabels());
+  }
+
+  function isLeader() {
+    return !election || election.isLeader();
+  }
+
+  // ============================================================================
+  // ALERTS
+  // ============================================================================
+
+  // Notifications for problems that need a person (see alerts.js); delivery runs in the
+  // background and never fails the calling step
+  const alerts = createAlerts(config, (emoji, message, fields) => log(emoji, message, fields));
+
+  // ============================================================================
+  // RACE LEDGER
+  // ============================================================================
+
+  const ledger = new RaceLedger(config.ledgerFile);
+
+  // Gas and ETH per race for the ledger log line; read from the ledger once, then kept up to date
+  let raceTotals = null;
+
+  function addToRaceTotal(raceId, entry) {
+    const key = raceId.toString();
+    if (raceTotals === null) {
+      // The first read already includes `entry`
+      raceTotals = ledger.summarize().races;
+      return raceTotals.get(key);
+    }
+    const total = raceTotals.get(key) ?? { gasUsed: 0n, costWei: 0n, count: 0 };
+    total.gasUsed += entry.gasUsed;
+    total.costWei += entry.costWei;
+    total.count++;
+    raceTotals.set(key, total);
+    return total;
+  }
+
+  // Record a mined transaction (gas, effective gas price, L1 fee, ETH cost, block)
+  async function trackTransaction(raceId, transactionType, receipt) {
+    let l1Fee = 0n;
+    try {
+      l1Fee = await fetchL1Fee(provider, receipt.hash);
+    } catch (error) {
+      log('⚠️', `Failed to read L1 fee for ${receipt.hash}: ${error.message}`);
+    }
+    
+    let entry;
+    try {
+      entry = ledger.recordTransaction(raceId, transactionType, receipt, l1Fee);
+    } catch (error) {
+      log('⚠️', `Failed to write ledger entry: ${error.message}`);
+      return;
+    }
+    metrics.gasUsed.inc(metricLabels({ action: transactionType }), Number(entry.gasUsed));
+    metrics.ethSpent.inc(metricLabels({ action: transactionType }), Number(ethers.formatEther(entry.costWei)));
+    
+    // No race to total for a createRace reconciled after a restart (its raceId is unknown)
+    const summary = `${entry.gasUsed} gas, ${ethers.formatEther(entry.costWei)} ETH (L1 fee ${ethers.formatEther(entry.l1FeeWei)})`;
+    if (raceId === null) {
+      log('📊', `Ledger: ${transactionType}: ${summary}`);
+      return;
+    }
+    const raceTotal = addToRaceTotal(raceId, entry);
+    log('📊', `Ledger: Race #${raceId} ${transactionType}: ${summary} | race total: ${raceTotal.gasUsed.toLocaleString()} gas, ${ethers.formatEther(raceTotal.costWei)} ETH`);
+  }
+
+  function trackProbabilities(raceId, submitted, result, txHash) {
+    try {
+      ledger.recordProbabilities(raceId, { scores: result.scores, ...submitted }, {
+        method: result.method || 'monte-carlo',
+        samples: result.samples,
+        elapsedMs: result.elapsedMs,
+        maxStdErrBps: result.precision?.maxStdErrBps ?? null,
+      }, txHash);
+    } catch (error) {
+      log('⚠️', `Failed to write ledger entry: ${error.message}`);
+    }
+  }
+
+  // Custom error names become metric labels; anything else is bucketed to keep cardinality low
+  function errorLabel(decodedError) {
+    const name = typeof decodedError === 'string' ? decodedError : decodedError.name;
+    return name && /^[A-Za-z]+$/.test(name) ? name : 'other';
+  }
+
+  function trackError(raceId, transactionType, decodedError) {
+    metrics.txFailures.inc(metricLabels({ action: transactionType, error: errorLabel(decodedError) }));
+    try {
+      ledger.recordError(raceId, transactionType, decodedError);
+    } catch (error) {
+      log('⚠️', `Failed to write ledger entry: ${error.message}`);
+    }
+  }
+
+  function logGasSummary() {
+    const { raceCount, totals, errors } = ledger.summarize();
+    
+    if (raceCount === 0) {
+      log('📊', 'No gas usage tracked yet');
+      return;
+    }
+    
+    const fmt = (t) => `${t.gasUsed.toLocaleString()} gas (${ethers.formatEther(t.costWei)} ETH)`;
+    log('📊', `Gas Summary (${raceCount} races tracked, ${errors} failed actions):`);
+    logger.block([
+      `    ├─ Create Race Total: ${fmt(totals.createRace)}`,
+      `    ├─ Set Probabilities Total: ${fmt(totals.setProbabilities)}`,
+      `    ├─ Settle Total: ${fmt(totals.settleRace)}`,
+      `    ├─ Cancel Total: ${fmt(totals.cancelRace)}`,
+      `    ├─ Cleanup Expired Total: ${fmt(totals.cleanupExpiredRace)}`,
+      `    └─ Grand Total: ${fmt(totals.total)}`,
+    ].join('\n'), 'Gas summary', { totals });
+  }
+
+  // ============================================================================
+  // WALLET RUNWAY
+  // ============================================================================
+
+  const LOW_BALANCE_WEI = ethers.parseEther(config.wallet.lowBalanceEth);
+  let lastRunwayLogAt = 0;
+
+  /**
+   * Log balance, average cost per race and the runway estimate; warn on low balance.
+   * @returns {Promise<{ balanceWei: bigint, lowBalance: boolean }>}
+   */
+  async function checkWalletRunway() {
+    const { balanceWei } = await getWalletInfo();
+    const runway = estimateRunway(ledger.readEntries(), balanceWei);
+    lastRunwayLogAt = Date.now();
+    
+    if (runway.racesRemaining === null) {
+      // No priced races yet, or they cost nothing (e.g. a zero gas price on a dev chain)
+      log('🛣️', runway.avgCostPerRaceWei === null
+        ? 'Runway: no priced races in the ledger yet'
+        : `Runway: unknown | avg ${ethers.formatEther(runway.avgCostPerRaceWei)} ETH/race over ${runway.pricedRaces} races`);
+    } else {
+      const days = runway.daysRemaining === null ? 'unknown cadence' : `~${runway.daysRemaining.toFixed(1)} days at ${runway.racesPerDay.toFixed(1)} races/day`;
+      log('🛣️', `Runway: ~${runway.racesRemaining.toLocaleString()} races (${days}) | avg ${ethers.formatEther(runway.avgCostPerRaceWei)} ETH/race over ${runway.pricedRaces} races`);
+    }
+    
+    const lowBalance = balanceWei < LOW_BALANCE_WEI;
+    if (lowBalance) {
+      log('🪫', `LOW BALANCE: ${ethers.formatEther(balanceWei)} ETH < ${config.wallet.lowBalanceEth} ETH threshold${config.wallet.pauseOnLowBalance ? ' - race creation paused' : ''}`);
+      alerts.record('lowBalance', `Wallet ${wallet.address} has ${ethers.formatEther(balanceWei)} ETH, below the ${config.wallet.lowBalanceEth} ETH threshold${runway.racesRemaining === null ? '' : ` (~${runway.racesRemaining.toLocaleString()} races left)`}`, {
+        address: wallet.address,
+        balanceEth: ethers.formatEther(balanceWei),
+      });
+    } else {
+      alerts.resolve('lowBalance', `Wallet balance is ${ethers.formatEther(balanceWei)} ETH again`);
+    }
+    return { balanceWei, lowBalance };
+  }
+
+  // ============================================================================
+  // LOGGING UTILITIES
+  // ============================================================================
+
+  // Emoji conventions double as levels so call sites keep today's style
+  const EMOJI_LEVELS = {
+    '❌': 'error',
+    '💥': 'error',
+    '⚠️': 'warn',
+    '🪫': 'warn',
+    '🐢': 'warn',
+  };
+
+  function log(emoji, message, fields = {}) {
+    logger[EMOJI_LEVELS[emoji] || 'info'](message, { emoji, ...fields });
+  }
+
+  function logHeader(title) {
+    logger.decoration('\n' + '═'.repeat(60) + `\n  ${title}\n` + '═'.repeat(60));
+  }
+
+  function logDivider() {
+    logger.decoration('─'.repeat(60));
+  }
+
+  // ============================================================================
+  // HELPER FUNCTIONS
+  // ============================================================================
+
+  const BLOCK_TIME_MS = 2000;
+  const POLL_INTERVAL_MS = config.bot.pollIntervalMs;
+
+  // Block/event feed in events mode (its measured block time replaces BLOCK_TIME_MS)
+  let eventSource = null;
+
+  // Ends early on shutdown so the loop can exit. Announced to /health, which doesn't count
+  // a deliberate sleep as a stalled loop
+  function sleep(ms) {
+    return new Promise(resolve => {
+      if (shutdown.signal.aborted) return resolve();
+      botState.sleepingUntil = Date.now() + ms;
+      const done = () => {
+        clearTimeout(timer);
+        shutdown.signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      shutdown.signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  function blocksToMs(blocks) {
+    return Number(blocks) * (eventSource?.blockTimeMs ?? BLOCK_TIME_MS);
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    if (minutes > 0) {
+      return `${minutes}m ${remainingSeconds}s`;
+    }
+    return `${seconds}s`;
+  }
+
+  /**
+   * Pause after a failed action: the pre-flight wait length if it asked for one,
+   * otherwise the default back-off.
+   */
+  async function sleepAfterFailure(result, defaultMs) {
+    if (result.waitBlocks > 0) {
+      log('😴', `Waiting ${formatDuration(blocksToMs(result.waitBlocks))} (~${result.waitBlocks} blocks) before retrying...`);
+      await sleep(blocksToMs(result.waitBlocks));
+    } else {
+      await sleep(defaultMs);
+    }
+  }
+
+  // Retry wrapper for RPC reads: providers are tried in health order
+  async function withRetry(fn) {
+    try {
+      const result = await providerPool.read(fn, (entry, attempt) => {
+        log('🔄', `RPC call failed, retrying on ${entry.url} (attempt ${attempt + 1})...`);
+      });
+      alerts.resolve('rpcExhausted', 'RPC reads are succeeding again');
+      return result;
+    } catch (error) {
+      alerts.record('rpcExhausted', `Read failed on all ${providerPool.entries.length} RPC provider(s): ${error.message}`);
+      throw error;
+    }
+  }
+
+  function logProviderHealth(level = 'info') {
+    logger.block(providerPool.formatHealth(), 'RPC provider health', { providers: providerPool.snapshot() }, level);
+  }
+
+  // Probe every RPC's height and latency; warn when providers become stuck
+  let lastProviderProbeAt = 0;
+  const stuckProviders = new Set();
+  async function probeProviders() {
+    lastProviderProbeAt = Date.now();
+    await providerPool.probeAll();
+    for (const p of providerPool.snapshot()) {
+      if (p.stuck && !stuckProviders.has(p.url)) {
+        stuckProviders.add(p.url);
+        log('⚠️', `RPC ${p.url} is ${p.lag} blocks behind - treating as stuck`, { rpc: p.url });
+      } else if (!p.stuck && stuckProviders.delete(p.url)) {
+        log('✅', `RPC ${p.url} caught up`, { rpc: p.url });
+      }
+    }
+    botState.providers = providerPool.snapshot();
+    refreshWriteProvider();
+  }
+
+  async function getWalletInfo() {
+    const address = wallet.address;
+    const balance = await withRetry(p => p.getBalance(address));
+    metrics.walletBalance.set(Number(ethers.formatEther(balance)), metricLabels());
+    return {
+      address,
+      balance: ethers.formatEther(balance),
+      balanceWei: balance,
+    };
+  }
+
+  // ============================================================================
+  // RACE SCHEDULING
+  // ============================================================================
+
+  // Rate limits count races this deployment created in the last day, restarts included
+  const schedule = createSchedulePolicy(config, {
+    createdAt: config.schedule.strategies.includes('rateLimit')
+      ? ledger.readEntries()
+        .filter(entry => entry.type === 'tx' && entry.action === 'createRace' && entry.status === 1)
+        .map(entry => Date.parse(entry.ts))
+      : [],
+  });
+
+  // What held race creation back last time ('' = nothing), so changes are logged once
+  let scheduleHold = '';
+
+  /**
+   * May a new race be created now? Logs when the answer (or what holds it back) changes.
+   * @returns {Promise<Object>} SchedulePolicy decision
+   */
+  async function checkSchedule() {
+    const decision = await schedule.check();
+    const hold = decision.allow ? '' : `${decision.strategy}${decision.apiDown ? ':down' : ''}`;
+    botState.schedule = { allowed: decision.allow, heldBy: decision.strategy, reason: decision.reason };
+    metrics.raceCreationHeld.set(decision.allow ? 0 : 1, metricLabels());
+    if (decision.apiDown) {
+      metrics.presenceApiErrors.inc(metricLabels());
+    }
+    
+    if (hold === scheduleHold) {
+      logger.debug(`Schedule: ${decision.allow ? 'race creation allowed' : 'race creation held'} - ${decision.reason}`, { emoji: '🗓️' });
+    } else if (decision.allow) {
+      log(decision.apiDown ? '⚠️' : '🎉', `Race creation allowed${scheduleHold ? ' again' : ''}: ${decision.reason}${decision.apiDown ? ' - creating anyway (PRESENCE_ON_ERROR=create)' : ''}`);
+    } else if (decision.apiDown) {
+      log('⚠️', `Race creation held: ${decision.reason} - not the same as zero users; checking again every ${formatDuration(config.bot.presenceCheckIntervalMs)}`, { heldBy: decision.strategy });
+    } else {
+      log('💤', `Race creation held (${decision.strategy}): ${decision.reason} - still cleaning up expired races meanwhile`, { heldBy: decision.strategy });
+    }
+    scheduleHold = hold;
+    return decision;
+  }
+
+  /**
+   * Schedule and low-balance gate for every race creation, including the one that
+   * auto-cancels an expired race.
+   * @returns {Promise<{ retryMs: number }|null>} null when a race may be created now
+   */
+  async function creationHold() {
+    const decision = await checkSchedule();
+    if (!decision.allow) {
+      return { retryMs: Math.min(decision.retryMs ?? Infinity, config.bot.presenceCheckIntervalMs) };
+    }
+    
+    if (config.wallet.pauseOnLowBalance) {
+      const { balanceWei } = await getWalletInfo();
+      if (balanceWei < LOW_BALANCE_WEI) {
+        log('⏸️', `Race creation paused: balance ${ethers.formatEther(balanceWei)} ETH is below ${config.wallet.lowBalanceEth} ETH`);
+        return { retryMs: 30000 };
+      }
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // BOT DASHBOARD
+  // ============================================================================
+
+  /**
+   * Get the current bot action from the contract.
+   * @returns {{ action: number, raceId: bigint, blocksRemaining: number, scores: number[], expiredRaceIds: bigint[] }}
+   */
+  function parseDashboard([action, raceId, blocksRemaining, scores, expiredRaceIds]) {
+    return {
+      action: Number(action),
+      raceId,
+      blocksRemaining: Number(blocksRemaining),
+      scores: scores.map(s => Number(s)),
+      expiredRaceIds: expiredRaceIds || [],
+    };
+  }
+
+  async function getBotDashboard() {
+    const raw = await withRetry((p, url) => 
+      readContract(p, url).getBotDashboard()
+    );
+    return parseDashboard(raw);
+  }
+
+  function formatDashboardAnswer(answer) {
+    if (answer.error !== undefined) return `   ${answer.url}: error - ${answer.error}`;
+    const d = answer.value;
+    return `   ${answer.url}: ${BOT_ACTION_NAMES[d.action]} | Race #${d.raceId} | Scores [${d.scores.join(', ')}] | ${d.blocksRemaining} blocks`;
+  }
+
+  /**
+   * Read the dashboard from several RPCs at a common block and keep it only if enough agree
+   * on action, raceId and scores.
+   * @returns {Promise<{ dashboard: Object|null, block: number|null }>} dashboard is null without a quorum
+   */
+  async function getQuorumDashboard() {
+    const result = await quorumRead(
+      providerPool,
+      async (p, url, blockTag) => parseDashboard(await readContract(p, url).getBotDashboard({ blockTag })),
+      {
+        size: config.quorum.size,
+        minAgree: config.quorum.minAgree,
+        key: d => `${d.action}|${d.raceId}|${d.scores.join(',')}`,
+      }
+    );
+    
+    if (!result.ok || result.agreeing < result.answers.length) {
+      const answers = result.answers.map(answer => answer.error !== undefined
+        ? { url: answer.url, error: answer.error }
+        : { url: answer.url, action: BOT_ACTION_NAMES[answer.value.action], raceId: answer.value.raceId, scores: answer.value.scores });
+      const summary = `${result.agreeing}/${result.answers.length} providers agree at block ${result.block ?? '?'} (need ${config.quorum.minAgree})`;
+      log('⚠️', result.ok ? `Dashboard disagreement: ${summary}` : `No dashboard quorum: ${summary} - not acting`);
+      logger.block(result.answers.map(formatDashboardAnswer).join('\n'), 'Dashboard answers by provider', { answers }, 'warn');
+    }
+    if (!result.ok) {
+      metrics.quorumFailures.inc(metricLabels());
+      return { dashboard: null, block: result.block };
+    }
+    return { dashboard: result.value, block: result.block };
+  }
+
+  // ============================================================================
+  // ODDS WINDOW
+  // ============================================================================
+
+  // Why odds attempts failed, per race, so a later cancellation can record the cause
+  const oddsMisses = new Map();
+
+  function noteOddsMiss(raceId, reason, detail) {
+    const key = raceId.toString();
+    oddsMisses.set(key, { reason, detail: String(detail), attempts: (oddsMisses.get(key)?.attempts ?? 0) + 1 });
+  }
+
+  // ============================================================================
+  // TRANSACTION FUNCTIONS
+  // ============================================================================
+
+  // Receipt wait given up for shutdown; the transaction is in the state file, not failed
+  function abandoned(error) {
+    log('⏸️', error.message, { txHashes: error.hashes });
+    return { success: false, error: 'Aborted' };
+  }
+
+  /**
+   * Simulate an action before sending it. `failure` is null when it should be sent (with
+   * the gas limit in `check.gasLimit`), otherwise the failed action result to return.
+   * @param {bigint|null} raceId
+   * @param {string} type - Action name (ledger / metrics label)
+   * @param {import('ethers').BaseContractMethod} method
+   * @param {Array} args
+   * @param {number} [blocksRemaining] - Dashboard blocksRemaining, used as the wait length
+   */
+  async function runPreflight(raceId, type, method, args, blocksRemaining = 0) {
+    // Lease lost mid-step: the new leader acts on the dashboard instead
+    if (!isLeader()) {
+      log('⏭️', `Not the leader - not sending ${type}`, { role: 'follower' });
+      return { check: null, failure: { success: false, skipped: true, error: 'NotLeader', waitBlocks: 0 } };
+    }
+    const check = await writeViaPool((writeProvider, url) => preflight(writeContractOn(writeProvider, url)[method.name], args, {
+      race: config.race,
+      gasLimitMarginPercent: config.transactions.gasLimitMarginPercent,
+      blocksRemaining,
+      rpc: url,
+    }));
+    if (check.decision === PREFLIGHT_DECISION.PROCEED) {
+      logger.debug(`Pre-flight ${type} OK (gas estimate ${check.gasEstimate}, limit ${check.gasLimit})`, {
+        emoji: '🧪',
+        gasEstimate: check.gasEstimate.toString(),
+        gasLimit: check.gasLimit.toString(),
+      });
+      return { check, failure: null };
+    }
+    metrics.preflightRejections.inc(metricLabels({ action: type, error: errorLabel(check.decodedError) }));
+    if (check.decision === PREFLIGHT_DECISION.WAIT) {
+      log('⏸️', `Pre-flight ${type} would revert with ${check.decodedError} - waiting ~${check.waitBlocks} blocks`, { decodedError: check.decodedError });
+    } else {
+      log('⏭️', `Pre-flight ${type} would revert with ${check.decodedError} - skipping`, { decodedError: check.decodedError });
+    }
+    return {
+      check,
+      failure: { success: false, skipped: true, error: check.decodedError, waitBlocks: check.waitBlocks ?? 0 },
+    };
+  }
+
+  async function executeCreateRace(blocksRemaining = 0) {
+    log('🏁', 'Creating new race...');
+    try {
+      const { check, failure } = await runPreflight(null, 'createRace', giraffeRace.createRace, [], blocksRemaining);
+      if (failure) return failure;
+      
+      const { receipt } = await txManager.send('createRace', () =>
+        giraffeRace.createRace.populateTransaction({ gasLimit: check.gasLimit })
+      );
+      const gasUsed = receipt.gasUsed.toString();
+      
+      // Get raceId from return value (parsed from logs/receipt)
+      // The contract returns raceId, but we need to decode it from the transaction
+      // For now, get it from dashboard on next iteration
+      const dashboard = await getBotDashboard();
+      const raceId = dashboard.raceId;
+      
+      log('✅', `Race #${raceId} created! Gas used: ${gasUsed}`);
+      metrics.racesCreated.inc(metricLabels());
+      schedule.recordRace();
+      await trackTransaction(raceId, 'createRace', receipt);
+      
+      return { success: true, raceId, gasUsed, txHash: receipt.hash };
+    } catch (error) {
+      if (error.code === 'ABORTED') return abandoned(error);
+      const decodedError = decodeContractError(error);
+      log('❌', `Failed to create race: ${decodedError}`, { decodedError });
+      trackError(null, 'createRace', decodedError);
+      return { success: false, error: decodedError };
+    }
+  }
+
+  /**
+   * Run the configured probability method for a set of scores.
+   * @param {number[]} scores
+   * @param {number} blocksRemaining - Blocks left in the odds window (sizes the adaptive budget)
+   * @param {number} deadlineMs - Hard limit from the odds watchdog
+   * @returns {Promise<Object>} Result from monte-carlo.js
+   * @throws DEADLINE_EXCEEDED when sampling is abandoned at deadlineMs
+   */
+  async function computeProbabilities(scores, blocksRemaining, deadlineMs) {
+    if (config.monteCarlo.method === 'exact') {
+      return calculateProbabilitiesExact(scores);
+    }
+    const { adaptive } = config.monteCarlo;
+    if (adaptive.enabled) {
+      const usableBlocks = Math.max(1, blocksRemaining - adaptive.reserveBlocks);
+      const budgetMs = Math.min(blocksToMs(usableBlocks) * adaptive.deadlineFraction, deadlineMs);
+      log('⏱️', `Adaptive sampling: tolerance ±${adaptive.toleranceBps} bps, budget ${formatDuration(budgetMs)}`);
+      return calculateProbabilities(scores, config.monteCarlo.samples, 0, {
+        adaptive: {
+          toleranceBps: adaptive.toleranceBps,
+          batchSize: adaptive.batchSize,
+          deadlineMs: budgetMs,
+        },
+      });
+    }
+    if (config.monteCarlo.workers > 0) {
+      return calculateProbabilitiesParallel(scores, config.monteCarlo.samples, 0, { workers: config.monteCarlo.workers, deadlineMs });
+    }
+    return calculateProbabilities(scores, config.monteCarlo.samples, 0, {
+      varianceReduction: config.monteCarlo.varianceReduction,
+      deadlineMs,
+    });
+  }
+
+  /**
+   * @param {bigint} raceId
+   * @param {number[]} scores
+   * @param {number} blocksRemaining - Blocks left in the odds window
+   * @param {number} currentBlock - Block the dashboard was read at
+   */
+  async function executeSetProbabilities(raceId, scores, blocksRemaining, currentBlock) {
+    // Watchdog: past this block an odds transaction can't be mined before the window closes
+    const windowEnd = currentBlock + blocksRemaining;
+    const submitBy = windowEnd - config.odds.minBlocksToSubmit;
+    const abort = (reason, detail, block) => {
+      log('⏱️', `Odds watchdog: giving up on Race #${raceId} - ${detail}`, { reason });
+      noteOddsMiss(raceId, reason, detail);
+      trackError(raceId, 'setProbabilities', 'OddsDeadline');
+      // Nothing more to do until the window closes and the race can be cancelled
+      return { success: false, error: 'OddsDeadline', waitBlocks: Math.max(1, windowEnd - block + 1) };
+    };
+    if (currentBlock > submitBy) {
+      return abort('window_too_short', `only ${blocksRemaining} block(s) left, need ${config.odds.minBlocksToSubmit}`, currentBlock);
+    }
+    
+    log('🎲', `Calculating probabilities for Race #${raceId}...`);
+    
+    try {
+      // Compute raw probabilities (Monte Carlo or exact solver)
+      // NOTE: House edge is applied ON-CHAIN, not here
+      // Sampling is abandoned at the watchdog budget; block times vary, so also check the chain
+      const budgetMs = blocksToMs(submitBy - currentBlock + 1);
+      let result = null;
+      try {
+        result = await computeProbabilities(scores, blocksRemaining, budgetMs);
+      } catch (error) {
+        if (error.code !== 'DEADLINE_EXCEEDED') throw error;
+      }
+      const blockAfter = await providerPool.getBlockNumber();
+      if (!result || blockAfter > submitBy) {
+        const detail = result
+          ? `probability computation finished at block ${blockAfter}, past block ${submitBy}`
+          : `probability computation stopped after its ${formatDuration(budgetMs)} budget`;
+        return abort('computation_too_slow', detail, blockAfter);
+      }
+      
+      const methodLabel = result.method === 'exact' ? 'exact solver' : `${result.samples.toLocaleString()} simulations`;
+      log('📊', `Probabilities calculated in ${result.elapsedMs}ms (${methodLabel})`, { durationMs: result.elapsedMs });
+      logger.block(formatProbabilitiesForLog(result), 'Probability table', {
+        scores: result.scores,
+        samples: result.samples,
+        winProbBps: result.winProbBps,
+        placeProbBps: result.placeProbBps,
+        showProbBps: result.showProbBps,
+      });
+      metrics.monteCarloDuration.observe(result.elapsedMs / 1000, metricLabels({ method: result.method || 'monte-carlo' }));
+      if (result.precision) {
+        const { precision } = result;
+        const convergence = precision.converged === undefined
+          ? ''
+          : ` | ${precision.converged ? 'converged' : 'NOT converged'} (target ±${precision.toleranceBps} bps, stopped: ${precision.stopReason})`;
+        log('🎯', `Precision: max std error ${precision.maxStdErrBps.toFixed(1)} bps, ${Math.round(precision.z * 100) / 100}σ CI ±${precision.maxCiHalfWidthBps.toFixed(1)} bps${convergence}`);
+      }
+      if (result.varianceReduction) {
+        const vr = result.varianceReduction;
+        const strategies = ['antithetic', 'commonRandomNumbers', 'stratified'].filter(k => vr[k]).join(' + ');
+        log('📉', `Variance reduction (${strategies}, ${vr.effectiveSamples.toLocaleString()} races in ${vr.groups.toLocaleString()} groups): Win ×${vr.win.toFixed(2)}, Place ×${vr.place.toFixed(2)}, Show ×${vr.show.toFixed(2)} vs plain sampling`);
+      }
+      
+      // Enforce sum targets, bounds and win <= place <= show before touching the chain
+      const checked = normalizeProbabilities(result, config.probabilities);
+      if (!checked.ok) {
+        log('❌', `Refusing to submit probabilities for Race #${raceId}: ${checked.violations.length} rule violation(s)`);
+        logger.block(formatProbabilityDiff(checked, true), 'Probability rule violations', {
+          violations: checked.violations,
+          diffs: checked.diffs,
+        }, 'error');
+        trackError(raceId, 'setProbabilities', 'InvalidProbabilities');
+        noteOddsMiss(raceId, 'invalid_probabilities', `${checked.violations.length} probability rule violation(s)`);
+        return { success: false, error: 'InvalidProbabilities', probabilities: result };
+      }
+      if (checked.adjusted) {
+        log('🔧', 'Probabilities normalized before submission:');
+        logger.block(formatProbabilityDiff(checked), 'Probability adjustments', {
+          diffs: checked.diffs.filter(d => d.submittedBps !== d.roundedBps),
+        });
+      }
+      
+      // Submit probabilities to contract (contract applies house edge to convert to odds)
+      log('📝', 'Submitting probabilities to contract...');
+      const args = [raceId, checked.winProbBps, checked.placeProbBps, checked.showProbBps];
+      const { check, failure } = await runPreflight(raceId, 'setProbabilities', giraffeRace.setProbabilities, args);
+      if (failure) {
+        noteOddsMiss(raceId, 'preflight_rejected', failure.error);
+        return { ...failure, probabilities: result };
+      }
+      
+      const { receipt } = await txManager.send('setProbabilities', () =>
+        giraffeRace.setProbabilities.populateTransaction(...args, { gasLimit: check.gasLimit }),
+        { deadlineBlock: submitBy, raceId }
+      );
+      oddsMisses.delete(raceId.toString());
+      const gasUsed = receipt.gasUsed.toString();
+      log('✅', `Probabilities set for Race #${raceId}! Gas used: ${gasUsed}`);
+      metrics.probabilitiesSet.inc(metricLabels());
+      botState.lastProbabilities = {
+        raceId: raceId.toString(),
+        txHash: receipt.hash,
+        lanes: result.lanes.map((lane, i) => ({
+          lane: lane.lane,
+          score: lane.score,
+          winProbBps: checked.winProbBps[i],
+          placeProbBps: checked.placeProbBps[i],
+          showProbBps: checked.showProbBps[i],
+        })),
+      };
+      
+      await trackTransaction(raceId, 'setProbabilities', receipt);
+      trackProbabilities(raceId, checked, result, receipt.hash);
+      
+      return { success: true, gasUsed, txHash: receipt.hash, probabilities: result };
+    } catch (error) {
+      if (error.code === 'ABORTED') return abandoned(error);
+      const decodedError = decodeContractError(error);
+      log('❌', `Failed to set probabilities: ${decodedError}`, { decodedError });
+      trackError(raceId, 'setProbabilities', decodedError);
+      if (error.code === 'DEADLINE_EXCEEDED') {
+        noteOddsMiss(raceId, 'tx_deadline', decodedError);
+        return { success: false, error: decodedError, waitBlocks: Math.max(1, config.odds.minBlocksToSubmit + 1) };
+      }
+      noteOddsMiss(raceId, 'tx_failed', decodedError);
+      return { success: false, error: decodedError };
+    }
+  }
+
+  async function executeSettleRace(raceId, blocksRemaining = 0) {
+    log('🏆', `Settling Race #${raceId}...`);
+    try {
+      // settleRace() takes no parameters - it settles the active race
+      const { check, failure } = await runPreflight(raceId, 'settleRace', giraffeRace.settleRace, [], blocksRemaining);
+      if (failure) return failure;
+      
+      const { receipt } = await txManager.send('settleRace', () =>
+        giraffeRace.settleRace.populateTransaction({ gasLimit: check.gasLimit }),
+        { raceId }
+      );
+      const gasUsed = receipt.gasUsed.toString();
+      log('✅', `Race #${raceId} settled! Gas used: ${gasUsed}`);
+      metrics.racesSettled.inc(metricLabels());
+      
+      await trackTransaction(raceId, 'settleRace', receipt);
+      
+      return { success: true, gasUsed, txHash: receipt.hash };
+    } catch (error) {
+      if (error.code === 'ABORTED') return abandoned(error);
+      const decodedError = decodeContractError(error);
+      log('❌', `Failed to settle race: ${decodedError}`, { decodedError });
+      trackError(raceId, 'settleRace', decodedError);
+      return { success: false, error: decodedError };
+    }
+  }
+
+  // Count a cancelled race and record why its odds were missed
+  function recordCancellation(raceId, miss, txHash) {
+    oddsMisses.delete(raceId.toString());
+    metrics.racesCancelled.inc(metricLabels({ reason: miss.reason }));
+    alerts.record('raceCancelled', `Race #${raceId} cancelled without odds: ${miss.detail} (${miss.attempts} attempt(s))`, {
+      raceId: raceId.toString(),
+      reason: miss.reason,
+      txHash,
+    });
+    try {
+      ledger.recordOddsMissed(raceId, miss, config.odds.cancelMode, txHash);
+    } catch (error) {
+      log('⚠️', `Failed to write ledger entry: ${error.message}`);
+    }
+  }
+
+  async function executeCancelRace(raceId) {
+    const miss = oddsMisses.get(raceId.toString()) ?? {
+      reason: 'not_attempted',
+      detail: 'no odds attempt by this bot during the window (bot down or busy)',
+      attempts: 0,
+    };
+    log('🚫', `Cancelling Race #${raceId} (no odds set in time: ${miss.detail}, ${miss.attempts} attempt(s))...`, { reason: miss.reason });
+    
+    if (config.odds.cancelMode === 'auto') {
+      // Creating the next race cancels the expired one on-chain - but only when a race may
+      // be created now; otherwise cancel it explicitly rather than leave it open
+      if (await creationHold()) {
+        log('🗓️', 'Race creation held - cancelling explicitly instead of via the next race');
+      } else {
+        log('🔄', 'Creating new race (auto-cancels expired race)...');
+        const result = await executeCreateRace();
+        if (result.success) recordCancellation(raceId, miss, result.txHash);
+        return result;
+      }
+    }
+    
+    try {
+      const { check, failure } = await runPreflight(raceId, 'cancelRace', giraffeRace.cancelRaceNoOdds, [raceId]);
+      if (failure) return failure;
+      
+      const { receipt } = await txManager.send('cancelRace', () =>
+        giraffeRace.cancelRaceNoOdds.populateTransaction(raceId, { gasLimit: check.gasLimit }),
+        { raceId }
+      );
+      const gasUsed = receipt.gasUsed.toString();
+      log('✅', `Race #${raceId} cancelled! Gas used: ${gasUsed}`);
+      
+      await trackTransaction(raceId, 'cancelRace', receipt);
+      recordCancellation(raceId, miss, receipt.hash);
+      
+      return { success: true, gasUsed, txHash: receipt.hash };
+    } catch (error) {
+      if (error.code === 'ABORTED') return abandoned(error);
+      const decodedError = decodeContractError(error);
+      log('❌', `Failed to cancel race: ${decodedError}`, { decodedError });
+      trackError(raceId, 'cancelRace', decodedError);
+      return { success: false, error: decodedError };
+    }
+  }
+
+  async function executeCleanupExpiredRace(raceId) {
+    log('🧹', `Cleaning up expired Race #${raceId} (releasing forfeited winnings)...`);
+    try {
+      const { check, failure } = await runPreflight(raceId, 'cleanupExpiredRace', giraffeRace.cleanupExpiredRace, [raceId]);
+      if (failure) return failure;
+      
+      const { receipt } = await txManager.send('cleanupExpiredRace', () =>
+        giraffeRace.cleanupExpiredRace.populateTransaction(raceId, { gasLimit: check.gasLimit }),
+        { raceId }
+      );
+      const gasUsed = receipt.gasUsed.toString();
+      log('✅', `Expired Race #${raceId} cleaned up! Gas used: ${gasUsed}`);
+      
+      await trackTransaction(raceId, 'cleanupExpiredRace', receipt);
+      
+      return { success: true, gasUsed, txHash: receipt.hash };
+    } catch (error) {
+      if (error.code === 'ABORTED') return abandoned(error);
+      const decodedError = decodeContractError(error);
+      log('❌', `Failed to cleanup expired race #${raceId}: ${decodedError}`, { decodedError });
+      trackError(raceId, 'cleanupExpiredRace', decodedError);
+      return { success: false, error: decodedError };
+    }
+  }
+
+  // ============================================================================
+  // MAIN BOT LOOP
+  // ============================================================================
+
+  /**
+   * Act on one dashboard reading: clean up expired races, then run the requested action.
+   * @param {{ action: number, raceId: bigint, blocksRemaining: number, scores: number[], expiredRaceIds: bigint[] }} dashboard
+   * @param {Object} options
+   * @param {number} options.currentBlock - Block the dashboard was read at
+   * @param {boolean} [options.idleSleep=true] - Sleep through NONE waits (polling mode); the
+   *   event loop waits for blocks/events itself instead
+   */
+  async function handleDashboardAction(dashboard, { currentBlock, idleSleep = true }) {
+    // Process any expired races that need cleanup (forfeited winnings)
+    if (dashboard.expiredRaceIds && dashboard.expiredRaceIds.length > 0) {
+      log('🧹', `Found ${dashboard.expiredRaceIds.length} expired race(s) to clean up`);
+      for (const expiredRaceId of dashboard.expiredRaceIds) {
+        if (shutdown.signal.aborted) return;
+        const result = await withLogContext(
+          { raceId: expiredRaceId.toString(), action: 'CLEANUP_EXPIRED' },
+          () => executeCleanupExpiredRace(expiredRaceId)
+        );
+        if (result.success) {
+          await sleep(2000);
+        } else {
+          log('⚠️', `Will retry cleanup for Race #${expiredRaceId} on next loop`);
+        }
+      }
+    }
+    
+    // Don't start a new transaction once shutdown was requested
+    if (shutdown.signal.aborted) return;
+    
+    switch (dashboard.action) {
+      // ========================================
+      // CASE 0: Nothing to do - wait
+      // ========================================
+      case BOT_ACTION.NONE: {
+        if (!idleSleep) break;
+        if (dashboard.blocksRemaining > 0) {
+          const waitMs = blocksToMs(dashboard.blocksRemaining);
+          log('😴', `Waiting ${formatDuration(waitMs)} (~${dashboard.blocksRemaining} blocks)...`);
+          // Sleep for most of the time, but leave a buffer
+          const sleepBlocks = Math.max(0, dashboard.blocksRemaining - 2);
+          if (sleepBlocks > 0) {
+            await sleep(blocksToMs(sleepBlocks));
+          } else {
+            await sleep(POLL_INTERVAL_MS);
+          }
+        } else {
+          await sleep(POLL_INTERVAL_MS);
+        }
+        break;
+      }
+      
+      // ========================================
+      // CASE 1: Create a new race
+      // ========================================
+      case BOT_ACTION.CREATE_RACE: {
+        // Held back (no users, outside hours, rate limit, low balance): check again shortly.
+        // Returning to the loop keeps the expired-race cleanup above running in the meantime
+        const hold = await creationHold();
+        if (hold) {
+          await sleep(hold.retryMs);
+          break;
+        }
+        
+        log('🎯', 'ACTION: Create new race');
+        const result = await executeCreateRace(dashboard.blocksRemaining);
+        if (result.success) {
+          await sleep(3000);
+        } else {
+          await sleepAfterFailure(result, 5000);
+        }
+        break;
+      }
+      
+      // ========================================
+      // CASE 2: Calculate and set probabilities
+      // ========================================
+      case BOT_ACTION.SET_PROBABILITIES: {
+        log('🎯', `ACTION: Set probabilities for Race #${dashboard.raceId}`);
+        log('🦒', `Scores: [${dashboard.scores.join(', ')}]`);
+        log('⏰', `Deadline: ${dashboard.blocksRemaining} blocks remaining`);
+        
+        const result = await executeSetProbabilities(dashboard.raceId, dashboard.scores, dashboard.blocksRemaining, currentBlock);
+        if (result.success) {
+          alerts.resolve('raceCancelled', `Odds set for Race #${dashboard.raceId}`);
+          await sleep(3000);
+        } else {
+          // Failed to set probabilities - will need to cancel if time runs out
+          log('⚠️', 'Failed to set probabilities - will retry...');
+          await sleepAfterFailure(result, 2000);
+        }
+        break;
+      }
+      
+      // ========================================
+      // CASE 3: Settle the race
+      // ========================================
+      case BOT_ACTION.SETTLE_RACE: {
+        log('🎯', `ACTION: Settle Race #${dashboard.raceId}`);
+        const result = await executeSettleRace(dashboard.raceId, dashboard.blocksRemaining);
+        if (result.success) {
+          alerts.resolve('settleFailed', `Race #${dashboard.raceId} settled`);
+          await sleep(3000);
+        } else {
+          // Pre-flight "not yet" waits, shutdown and lost leadership aren't failures
+          const expected = result.error === 'Aborted' || result.error === 'NotLeader' || (result.skipped && result.waitBlocks > 0);
+          if (!expected) {
+            alerts.record('settleFailed', `Settling Race #${dashboard.raceId} failed: ${result.error}`, {
+              raceId: dashboard.raceId.toString(),
+              error: String(result.error),
+            });
+          }
+          await sleepAfterFailure(result, 5000);
+        }
+        break;
+      }
+      
+      // ========================================
+      // CASE 4: Cancel expired race
+      // ========================================
+      case BOT_ACTION.CANCEL_RACE: {
+        log('🎯', `ACTION: Cancel Race #${dashboard.raceId} (odds window expired)`);
+        const result = await executeCancelRace(dashboard.raceId);
+        if (result.success) {
+          await sleep(3000);
+        } else {
+          await sleepAfterFailure(result, 5000);
+        }
+        break;
+      }
+      
+      default:
+        log('❓', `Unknown action: ${dashboard.action}`);
+        await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  // ============================================================================
+  // CRASH RECOVERY
+  // ============================================================================
+
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await withRetry(p => p.getTransactionReceipt(hash));
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve transactions left in the state file - by a previous run (crash, kill or deploy),
+   * or by a send that timed out or was cancelled - before acting on the dashboard again:
+   * mined ones go into the ledger, nonces used by another transaction are dropped, and ones
+   * still pending are waited for, then cancelled.
+   */
+  async function reconcileInFlight() {
+    const pending = inFlight.list();
+    if (pending.length === 0) return;
+    log('♻️', `Reconciling ${pending.length} in-flight transaction(s) from ${inFlight.file}...`);
+    const recorded = new Set(ledger.readEntries().filter(entry => entry.type === 'tx').map(entry => entry.txHash));
+    
+    for (const tx of pending) {
+      const raceId = tx.raceId === null ? null : BigInt(tx.raceId);
+      const label = `${tx.action}${raceId === null ? '' : ` for Race #${raceId}`} (nonce ${tx.nonce})`;
+      try {
+        let receipt = await findReceipt(tx.hashes);
+        const confirmed = await withRetry(p => p.getTransactionCount(wallet.address, 'latest'));
+        if (!receipt && confirmed <= tx.nonce) {
+          log('⏳', `${label} still pending - waiting for it...`);
+          receipt = await txManager.waitForAny(tx.hashes, tx.nonce);
+          if (!receipt) {
+            await txManager.cancelNonce(tx.action, tx.nonce, {
+              maxFeePerGas: BigInt(tx.maxFeePerGas),
+              maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas),
+            }, { hashes: tx.hashes, raceId });
+            log('⚠️', `${label} still not mined; left in ${inFlight.file} to retry`);
+            continue;
+          }
+        }
+        
+        if (!receipt) {
+          log('🔀', `${label} was replaced by a transaction sent outside the bot - dropping it`);
+        } else if (tx.cancelled && receipt.hash === tx.hashes.at(-1)) {
+          log('🛑', `${label} was cancelled (no-op mined in block ${receipt.blockNumber})`);
+        } else {
+          log(receipt.status === 1 ? '✅' : '❌', `${label} ${receipt.status === 1 ? 'mined' : 'reverted'} in block ${receipt.blockNumber}: ${receipt.hash}`, { txHash: receipt.hash });
+          if (!recorded.has(receipt.hash)) await trackTransaction(raceId, tx.action, receipt);
+        }
+        inFlight.clear(tx.nonce);
+      } catch (error) {
+        if (error.code === 'ABORTED') return;
+        if (error.code === 'NONCE_EXPIRED') {
+          log('🔀', `${label} was replaced by a transaction sent outside the bot - dropping it`);
+          continue;
+        }
+        log('⚠️', `Could not reconcile ${label}: ${error.message} - will retry`);
+      }
+    }
+    txManager.resyncNonce();
+  }
+
+  // Chain ID, contract code and race-bot authorization; a failure stops this deployment
+  async function checkDeployment() {
+    const results = await runStartupChecks({
+      provider,
+      contract: giraffeRace,
+      chainId: config.chainId,
+      contractAddress: config.giraffeRaceContract,
+    });
+    for (const result of results) {
+      log(result.ok ? '✅' : '❌', `Startup check (${result.name}): ${result.detail}`, { check: result.name });
+    }
+    const failed = results.filter(result => !result.ok);
+    if (failed.length > 0) {
+      throw new Error(`Startup check failed: ${failed.map(result => result.detail).join('; ')} (set STARTUP_CHECKS=false to skip)`);
+    }
+  }
+  
+  async function runBot() {
+    logHeader(`🦒 GIRAFFE RACE BOT v3 (Dashboard Mode)${config.name ? ` - ${config.name}` : ''}`);
+    
+    // Before any other call: ethers rejects a chain ID mismatch with an opaque "network changed"
+    if (config.bot.startupChecks) {
+      await checkDeployment();
+    }
+    
+    // Display startup info
+    const walletInfo = await getWalletInfo();
+    const networkName = config.networkName || (config.isLocalChain ? 'Local Chain' : 'Base Mainnet');
+    
+    log('💰', `Wallet: ${walletInfo.address}${config.signer.backend === 'key' ? '' : ` (${config.signer.backend} signer)`}`);
+    log('💵', `Balance: ${walletInfo.balance} ETH`);
+    log('📍', `Network: ${networkName} (Chain ID: ${config.chainId})`);
+    log('📜', `Contract: ${config.giraffeRaceContract}`);
+    botState.rpc = writeRpc;
+    await probeProviders();
+    log('🔗', `RPC pool: ${providerPool.entries.length} provider(s), writes via ${writeRpc}`);
+    logProviderHealth();
+    if (config.quorum.enabled) {
+      log('🗳️', `Quorum reads: ${config.quorum.minAgree} of ${config.quorum.size} providers must agree on the dashboard`);
+      if (providerPool.entries.length < config.quorum.minAgree) {
+        log('⚠️', `Only ${providerPool.entries.length} RPC(s) configured - dashboard quorum can never be reached`);
+      }
+    }
+    
+    if (config.monteCarlo.method === 'exact') {
+      log('🎲', 'Probabilities: exact solver');
+    } else if (config.monteCarlo.adaptive.enabled) {
+      log('🎲', `Monte Carlo: adaptive, up to ${config.monteCarlo.samples.toLocaleString()} samples (±${config.monteCarlo.adaptive.toleranceBps} bps)`);
+    } else {
+      log('🎲', `Monte Carlo: ${config.monteCarlo.samples.toLocaleString()} samples${config.monteCarlo.workers > 0 ? ` across ${config.monteCarlo.workers} worker threads` : ''}`);
+    }
+    
+    if (config.isLocalChain) {
+      log('🧪', 'LOCAL MODE: Presence check disabled');
+    }
+    log('🗓️', `Race scheduling: ${schedule.describe()}`);
+    
+    // Legacy gas/probability files belong to the single-deployment ledger
+    const migrated = config.ledgerFile === LEDGER_FILE ? ledger.migrateLegacy() : 0;
+    if (migrated > 0) {
+      log('📦', `Imported ${migrated} entries from legacy gas/probability files into the ledger`);
+    }
+    log('💾', `Race ledger: ${ledger.file}`);
+    
+    logGasSummary();
+    await checkWalletRunway();
+    
+    if (election) {
+      await election.start();
+      updateRole();
+      log(election.isLeader() ? '👑' : '🪑', `Leader election: ${election.lease.describe()}, ${formatDuration(config.leader.leaseMs)} lease - ${election.isLeader() ? 'leader' : `follower${election.holder ? ` (leader: ${election.holder})` : ''}`}`, { role: election.role() });
+      takeoverPending = false;
+    }
+    if (isLeader()) {
+      await reconcileInFlight();
+    }
+    
+    logHeader('🔄 STARTING BOT LOOP');
+    
+    if (config.bot.mode === 'events') {
+      const source = await startEventSource();
+      if (source) {
+        await runEventLoop(source);
+      }
+    }
+    if (!shutdown.signal.aborted) {
+      botState.mode = 'poll';
+      await runPollingLoop();
+    }
+    
+    if (eventSource) {
+      await eventSource.stop();
+      eventSource = null;
+    }
+    if (election) {
+      await election.stop();
+      updateRole();
+    }
+    const pending = inFlight.list().length;
+    log('👋', `Bot stopped${pending > 0 ? ` - ${pending} in-flight transaction(s) saved to ${inFlight.file} for the next start` : ''}`);
+  }
+  
+  // Finish (or abandon, for receipt waits) the current step, then return from run()
+  function stop() {
+    if (shutdown.signal.aborted) return;
+    log('🛑', 'Stopping after the current step...');
+    shutdown.abort();
+  }
+
+  /**
+   * One bot step: read the dashboard, publish it to status/metrics and act on it.
+   * @param {Object} options - Passed to handleDashboardAction
+   * @returns {Promise<{ currentBlock: number, dashboard: Object }>}
+   */
+  async function runIteration(options) {
+    if (Date.now() - lastRunwayLogAt >= config.wallet.runwayLogIntervalMs) {
+      await checkWalletRunway();
+    }
+    if (Date.now() - lastProviderProbeAt >= config.rpcPool.probeIntervalMs) {
+      await probeProviders();
+      logProviderHealth('debug');
+    }
+    
+    // Left by an earlier send that timed out or was cancelled: resolve (and ledger) it before
+    // the dashboard is read and anything else is sent
+    if (isLeader() && !takeoverPending && inFlight.list().length > 0) {
+      await reconcileInFlight();
+    }
+    
+    botState.lastLoopAt = Date.now();
+    let currentBlock;
+    let dashboard;
+    if (config.quorum.enabled) {
+      ({ block: currentBlock, dashboard } = await getQuorumDashboard());
+      if (!dashboard) {
+        await sleep(POLL_INTERVAL_MS);
+        return { currentBlock, dashboard: null };
+      }
+    } else {
+      currentBlock = await providerPool.getBlockNumber();
+      dashboard = await getBotDashboard();
+    }
+    
+    botState.lastDashboardPollAt = Date.now();
+    botState.block = currentBlock;
+    botState.action = BOT_ACTION_NAMES[dashboard.action];
+    botState.raceId = dashboard.raceId > 0n ? dashboard.raceId : null;
+    botState.blocksRemaining = dashboard.blocksRemaining;
+    metrics.lastDashboardPoll.set(Math.floor(botState.lastDashboardPollAt / 1000), metricLabels());
+    
+    logDivider();
+    log('📦', `Block: ${currentBlock} | Action: ${BOT_ACTION_NAMES[dashboard.action]} | Race: ${dashboard.raceId > 0n ? `#${dashboard.raceId}` : 'None'} | Blocks Remaining: ${dashboard.blocksRemaining}${election ? ` | Role: ${election.role()}` : ''}`);
+    
+    // Followers watch the dashboard but leave every action to the leader
+    if (!isLeader()) {
+      updateRole();
+      logger.debug(`Standing by - ${election.holder ? `${election.holder} is leader` : 'no leader'}; retrying the lease every ${formatDuration(election.renewIntervalMs)}`, { emoji: '🪑', role: 'follower' });
+      await sleep(POLL_INTERVAL_MS);
+      return { currentBlock, dashboard };
+    }
+    
+    // Just took over: the previous leader's nonces and in-flight transactions come first
+    // (only those in our state file - see leader.js for standbys on other hosts)
+    if (takeoverPending) {
+      takeoverPending = false;
+      txManager.resyncNonce();
+      inFlight.load();
+      await reconcileInFlight();
+    }
+    
+    await withLogContext({
+      block: currentBlock,
+      action: BOT_ACTION_NAMES[dashboard.action],
+      raceId: dashboard.raceId > 0n ? dashboard.raceId.toString() : undefined,
+    }, () => handleDashboardAction(dashboard, { ...options, currentBlock }));
+    
+    return { currentBlock, dashboard };
+  }
+
+  async function runPollingLoop() {
+    while (!shutdown.signal.aborted) {
+      try {
+        await runIteration({ idleSleep: true });
+      } catch (error) {
+        log('❌', `Error in bot loop: ${error.message}`);
+        log('🔄', 'Retrying in 10 seconds...');
+        await sleep(10000);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to blocks and contract events for events mode.
+   * @returns {Promise<ChainEventSource|null>} null when the provider can't subscribe
+   */
+  async function startEventSource() {
+    try {
+      const subscriptionProvider = config.bot.wsRpcUrl
+        ? new ethers.WebSocketProvider(config.bot.wsRpcUrl, { name: 'base', chainId: config.chainId })
+        : providerPool.best().provider;
+      // HTTP block polling defaults to 4s; match the bot's poll interval
+      if (!config.bot.wsRpcUrl) subscriptionProvider.pollingInterval = config.bot.pollIntervalMs;
+      const source = new ChainEventSource(subscriptionProvider, config.giraffeRaceContract, {
+        ownsProvider: Boolean(config.bot.wsRpcUrl),
+      });
+      source.on('error', error => log('⚠️', `Event feed error: ${error.message}`));
+      await source.start();
+      eventSource = source;
+      botState.mode = 'events';
+      log('👂', `Events mode: subscribed to blocks and contract events (${config.bot.wsRpcUrl ? 'WebSocket' : 'HTTP polling'})`);
+      return source;
+    } catch (error) {
+      log('⚠️', `Event subscription unavailable (${error.message}) - falling back to polling mode`);
+      return null;
+    }
+  }
+
+  /**
+   * React to contract events and the blocks the dashboard asked to wait for. Returns when the
+   * subscription stops delivering blocks, so the caller can fall back to polling.
+   * @param {ChainEventSource} source
+   */
+  async function runEventLoop(source) {
+    let timeouts = 0;
+    
+    while (!shutdown.signal.aborted) {
+      try {
+        const { currentBlock, dashboard } = await runIteration({ idleSleep: false });
+        
+        // Something was (or should be) done, no quorum, or following - look again straight away
+        if (!dashboard || dashboard.action !== BOT_ACTION.NONE || !isLeader()) continue;
+        
+        const untilBlock = currentBlock + Math.max(1, dashboard.blocksRemaining);
+        const timeoutMs = blocksToMs(untilBlock - currentBlock) + config.bot.eventStaleMs;
+        log('👂', `Waiting for contract events or block ${untilBlock}...`);
+        botState.sleepingUntil = Date.now() + timeoutMs;
+        const change = await source.waitForChange({ sinceBlock: currentBlock, untilBlock, timeoutMs, signal: shutdown.signal });
+        if (change.reason === 'stopped') break;
+        
+        if (change.reason === 'timeout') {
+          timeouts++;
+          log('⚠️', `No new blocks for ${formatDuration(timeoutMs)} - re-querying dashboard (${timeouts}/${config.bot.eventMaxTimeouts})`);
+          if (timeouts >= config.bot.eventMaxTimeouts) {
+            log('⚠️', 'Event subscription appears dead - falling back to polling mode');
+            await source.stop();
+            eventSource = null;
+            return;
+          }
+          continue;
+        }
+        
+        timeouts = 0;
+        for (const event of change.events) {
+          const what = event.name
+            ? `${event.name} for Race #${event.raceId}`
+            : `Contract event ${event.topic ? event.topic.slice(0, 10) : '(anonymous)'}`;
+          log('📣', `${what} (block ${event.blockNumber})`, { txHash: event.txHash });
+        }
+      } catch (error) {
+        log('❌', `Error in bot loop: ${error.message}`);
+        log('🔄', 'Retrying in 10 seconds...');
+        await sleep(10000);
+      }
+    }
+  }
+  
+  return { name: config.name, run: runBot, stop };
+}
+
+export default createBot;
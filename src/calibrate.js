@@ -0,0 +1,139 @@
+import 'dotenv/config';
+import { writeFileSync, existsSync } from 'fs';
+import { ethers } from 'ethers';
+import config from './config.js';
+import { GIRAFFE_RACE_ABI } from './abi.js';
+import { computeCalibration, formatCalibrationReport, isFinishOrder } from './calibration.js';
+import { RaceLedger } from './ledger.js';
+import { loadDeployments } from './deployments.js';
+import { ProviderPool } from './provider-pool.js';
+
+// ============================================================================
+// CALIBRATION REPORT
+// ============================================================================
+//
+// Usage: npm run calibrate -- [--deployment <name>] [--json <file>]
+//
+// Joins every odds set recorded in the deployment's race ledger with the race's settled
+// finish positions and reports Brier score, log-loss and reliability buckets. Read-only:
+// the ledger is never written. With DEPLOYMENTS_FILE listing several deployments,
+// --deployment picks one.
+//
+// Results come from getRaceResult, whose layout is not yet confirmed against the
+// contract source (abi.js). Results that aren't a possible finish order stop the
+// report rather than skew it.
+
+function log(emoji, message) {
+  console.log(`[${new Date().toISOString()}] ${emoji} ${message}`);
+}
+
+function usage() {
+  console.error('Usage: npm run calibrate -- [--deployment <name>] [--json <file>]');
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const options = { json: null, deployment: null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json' && args[i + 1]) {
+      options.json = args[++i];
+    } else if (args[i] === '--deployment' && args[i + 1]) {
+      options.deployment = args[++i];
+    } else {
+      usage();
+    }
+  }
+  return options;
+}
+
+function selectDeployment(deployments, name) {
+  if (name === null) {
+    if (deployments.length === 1) return deployments[0];
+    console.error(`❌ Several deployments configured - pick one with --deployment (${deployments.map(d => d.name).join(', ')})`);
+    process.exit(1);
+  }
+  const deployment = deployments.find(d => d.name === name);
+  if (!deployment) {
+    const names = deployments.map(d => d.name).filter(Boolean);
+    console.error(`❌ No deployment named "${name}"${names.length > 0 ? ` (configured: ${names.join(', ')})` : ' (DEPLOYMENTS_FILE is not set)'}`);
+    process.exit(1);
+  }
+  return deployment;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const deployment = selectDeployment(loadDeployments(config), options.deployment);
+  const owner = deployment.name ? ` (${deployment.name})` : '';
+
+  if (!existsSync(deployment.ledgerFile)) {
+    log('📭', `No race ledger at ${deployment.ledgerFile}${owner} - run the bot first`);
+    return;
+  }
+  const ledger = new RaceLedger(deployment.ledgerFile);
+  const history = ledger.probabilityHistory();
+  if (history.length === 0) {
+    log('📭', `No submitted probabilities found in ${ledger.file}`);
+    return;
+  }
+
+  // Reads go to the healthiest RPC and fall through the others, as in the bot
+  const pool = new ProviderPool(deployment.fallbackRpcs, {
+    chainId: deployment.chainId,
+    maxBlockLag: deployment.rpcPool.maxBlockLag,
+    attemptsPerProvider: deployment.rpcPool.attemptsPerProvider,
+    retryDelayMs: deployment.rpcPool.retryDelayMs,
+  });
+  const contracts = new Map();
+  const readResult = raceId => pool.read((provider, url) => {
+    if (!contracts.has(url)) contracts.set(url, new ethers.Contract(deployment.giraffeRaceContract, GIRAFFE_RACE_ABI, provider));
+    return contracts.get(url).getRaceResult(raceId);
+  });
+
+  log('📥', `Fetching results for ${history.length} priced race(s)${owner} from ${deployment.giraffeRaceContract}...`);
+  log('⚠️', 'Race results are read via getRaceResult, whose layout is not yet confirmed against the contract');
+  const races = [];
+  const malformed = [];
+  let unsettled = 0;
+  for (const record of history) {
+    try {
+      const [settled, , , rawPositions] = await readResult(BigInt(record.raceId));
+      if (!settled) {
+        unsettled++;
+        continue;
+      }
+      const positions = rawPositions.map(p => Number(p));
+      if (!isFinishOrder(positions)) {
+        malformed.push(`#${record.raceId} [${positions.join(', ')}]`);
+        continue;
+      }
+      races.push({ ...record, positions });
+    } catch (error) {
+      log('⚠️', `Race #${record.raceId}: failed to read result: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  if (malformed.length > 0) {
+    throw new Error(`getRaceResult returned ${malformed.length} result(s) that aren't a finish order (${malformed.slice(0, 5).join(', ')}${malformed.length > 5 ? ', ...' : ''}) - the assumed layout in abi.js doesn't match the contract; no report`);
+  }
+  if (unsettled > 0) log('⏭️', `Skipped ${unsettled} unsettled/cancelled race(s)`);
+  if (races.length === 0) {
+    log('📭', 'No settled races to calibrate against');
+    return;
+  }
+
+  const report = computeCalibration(races);
+  log('📊', 'Calibration report:');
+  console.log(formatCalibrationReport(report));
+
+  if (options.json) {
+    writeFileSync(options.json, JSON.stringify(report, null, 2));
+    log('💾', `JSON report written to ${options.json}`);
+  }
+}
+
+main().catch((error) => {
+  log('💥', `Fatal error: ${error.message}`);
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Calibration of submitted probabilities against settled race results.
+ *
+ * Every odds set the bot submits is recorded in the race ledger. Joined with the
+ * settled finish positions, that lets us check whether lanes priced at 30% really
+ * win 30% of the time:
+ *
+ *   - Brier score: mean squared error between probability and outcome credit
+ *   - Log-loss: Win as a 6-way outcome, Place/Show as per-lane binary outcomes
+ *   - Reliability buckets: predicted vs observed frequency by probability bucket,
+ *     by lane score and by lane index
+ *
+ * Outcomes use the same dead-heat credits as the simulator, so a 2-way tie for the
+ * win counts as 0.5 for each lane.
+ */
+
+const POOLS = [
+  { name: 'win', spots: 1, bpsKey: 'winProbBps' },
+  { name: 'place', spots: 2, bpsKey: 'placeProbBps' },
+  { name: 'show', spots: 3, bpsKey: 'showProbBps' },
+];
+
+const BUCKET_COUNT = 10;
+const EPSILON = 1e-6;
+
+// -----------------------
+// Outcomes
+// -----------------------
+
+/**
+ * Win/Place/Show outcome credit per lane from finish positions, with dead heats split.
+ *
+ * @param {number[]} positions - 0-based finishing position per lane (ties share a position)
+ * @returns {{ win: number[], place: number[], show: number[] }}
+ */
+export function outcomeCredits(positions) {
+  const credits = {};
+  for (const pool of POOLS) {
+    credits[pool.name] = positions.map((pos) => {
+      const remaining = pool.spots - pos;
+      if (remaining <= 0) return 0;
+      const groupSize = positions.filter(p => p === pos).length;
+      return groupSize <= remaining ? 1 : remaining / groupSize;
+    });
+  }
+  return credits;
+}
+
+/**
+ * Is this a possible set of finishing positions? Each of the 6 lanes has a 0-based
+ * position, and a dead heat of k lanes at position p leaves p+1..p+k-1 unused, as in
+ * standard competition ranking ([0, 0, 2, 3, 4, 5]).
+ *
+ * @param {number[]} positions
+ * @returns {boolean}
+ */
+export function isFinishOrder(positions) {
+  if (positions.length !== 6) return false;
+  const sorted = [...positions].sort((a, b) => a - b);
+  return sorted.every((pos, i) => Number.isInteger(pos) && pos === (sorted[i - 1] === pos ? sorted[i - 1] : i));
+}
+
+// -----------------------
+// Metrics
+// -----------------------
+
+function clampProb(p) {
+  return Math.min(1 - EPSILON, Math.max(EPSILON, p));
+}
+
+function newBucket(label) {
+  return { label, count: 0, predicted: 0, observed: 0 };
+}
+
+function addToBucket(bucket, p, o) {
+  bucket.count++;
+  bucket.predicted += p;
+  bucket.observed += o;
+}
+
+function finalizeBuckets(buckets) {
+  return buckets
+    .filter(b => b.count > 0)
+    .map(b => ({
+      label: b.label,
+      count: b.count,
+      meanPredicted: b.predicted / b.count,
+      observedRate: b.observed / b.count,
+      gap: b.observed / b.count - b.predicted / b.count,
+    }));
+}
+
+/**
+ * Compute calibration metrics.
+ *
+ * @param {Array<{ raceId: string, scores: number[], winProbBps: number[], placeProbBps: number[], showProbBps: number[], positions: number[] }>} races
+ * @returns {Object} Report (JSON-serializable)
+ */
+export function computeCalibration(races) {
+  const pools = {};
+  for (const pool of POOLS) {
+    pools[pool.name] = {
+      brierSum: 0,
+      logLossSum: 0,
+      observations: 0,
+      buckets: Array.from({ length: BUCKET_COUNT }, (_, i) =>
+        newBucket(`${i * 10}-${(i + 1) * 10}%`)
+      ),
+      byScore: Array.from({ length: 10 }, (_, i) => newBucket(`score ${i + 1}`)),
+      byLane: Array.from({ length: 6 }, (_, i) => newBucket(`lane ${i}`)),
+    };
+  }
+  let winLogLossSum = 0;
+
+  for (const race of races) {
+    const outcomes = outcomeCredits(race.positions);
+    for (const pool of POOLS) {
+      const acc = pools[pool.name];
+      race[pool.bpsKey].forEach((bps, lane) => {
+        const p = bps / 10_000;
+        const o = outcomes[pool.name][lane];
+        const pc = clampProb(p);
+        acc.brierSum += (p - o) ** 2;
+        acc.logLossSum += -(o * Math.log(pc) + (1 - o) * Math.log(1 - pc));
+        acc.observations++;
+        addToBucket(acc.buckets[Math.min(BUCKET_COUNT - 1, Math.floor(p * BUCKET_COUNT))], p, o);
+        const score = race.scores[lane];
+        if (score >= 1 && score <= 10) addToBucket(acc.byScore[score - 1], p, o);
+        addToBucket(acc.byLane[lane], p, o);
+      });
+    }
+
+    // Win as a single 6-way outcome: -sum(o * log p)
+    race.winProbBps.forEach((bps, lane) => {
+      const o = outcomes.win[lane];
+      if (o > 0) winLogLossSum += -o * Math.log(clampProb(bps / 10_000));
+    });
+  }
+
+  const report = { races: races.length, pools: {} };
+  for (const pool of POOLS) {
+    const acc = pools[pool.name];
+    const n = acc.observations || 1;
+    report.pools[pool.name] = {
+      brierScore: acc.brierSum / n,
+      logLoss: acc.logLossSum / n,
+      reliability: finalizeBuckets(acc.buckets),
+      byScore: finalizeBuckets(acc.byScore),
+      byLane: finalizeBuckets(acc.byLane),
+    };
+  }
+  report.pools.win.multiclassLogLoss = races.length > 0 ? winLogLossSum / races.length : 0;
+  return report;
+}
+
+// -----------------------
+// Formatting
+// -----------------------
+
+function formatBucketTable(title, rows) {
+  const lines = [];
+  lines.push(`    ${title}`);
+  lines.push('    ┌──────────────┬───────┬───────────┬──────────┬─────────┐');
+  lines.push('    │    Bucket    │   N   │ Predicted │ Observed │   Gap   │');
+  lines.push('    ├──────────────┼───────┼───────────┼──────────┼─────────┤');
+  for (const r of rows) {
+    const gap = `${r.gap >= 0 ? '+' : ''}${(r.gap * 100).toFixed(2)}%`;
+    lines.push(`    │ ${r.label.padEnd(12)} │ ${r.count.toString().padStart(5)} │ ${(r.meanPredicted * 100).toFixed(2).padStart(8)}% │ ${(r.observedRate * 100).toFixed(2).padStart(7)}% │ ${gap.padStart(7)} │`);
+  }
+  lines.push('    └──────────────┴───────┴───────────┴──────────┴─────────┘');
+  return lines.join('\n');
+}
+
+/**
+ * Format a calibration report as text tables.
+ *
+ * @param {Object} report - Result from computeCalibration
+ * @returns {string}
+ */
+export function formatCalibrationReport(report) {
+  const lines = [];
+  lines.push(`    Races: ${report.races}`);
+  lines.push(`    Win multiclass log-loss: ${report.pools.win.multiclassLogLoss.toFixed(4)}`);
+  for (const pool of POOLS) {
+    const r = report.pools[pool.name];
+    lines.push('');
+    lines.push(`    ===== ${pool.name.toUpperCase()} =====  Brier: ${r.brierScore.toFixed(4)} | Log-loss: ${r.logLoss.toFixed(4)}`);
+    lines.push(formatBucketTable('By predicted probability', r.reliability));
+    lines.push(formatBucketTable('By score', r.byScore));
+    lines.push(formatBucketTable('By lane', r.byLane));
+  }
+  return lines.join('\n');
+}
+
+export default { outcomeCredits, isFinishOrder, computeCalibration, formatCalibrationReport };
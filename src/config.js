@@ -1,54 +1,74 @@
 import 'dotenv/config';
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { RACE } from './race-constants.js';
+import { schemaDefaults, applyFileValues, applyEnvValues, validateConfig } from './config-schema.js';
 
-// Detect if running on local chain
-const isLocalChain = process.env.RPC_URL?.includes('127.0.0.1') || 
-                     process.env.RPC_URL?.includes('localhost') ||
-                     process.env.CHAIN_ID === '31337';
-
-export const config = {
-  // Network configuration
-  chainId: parseInt(process.env.CHAIN_ID || '8453'),
-  
-  // RPC URLs - use RPC_URL env var for local/custom, otherwise use fallback list
-  fallbackRpcs: process.env.RPC_URL 
-    ? [process.env.RPC_URL]  // Single RPC for local/custom
-    : [
-        'https://base.drpc.org',        // Most reliable public RPC
-        'https://1rpc.io/base',
-        'https://base.meowrpc.com',
-        'https://mainnet.base.org',     // Official but rate-limited
-      ],
-  
-  // Contract address (set via env var for local testing)
-  giraffeRaceContract: process.env.GIRAFFE_RACE_CONTRACT || '0x9f9e34af1ee8429902056d33fb486bd23fbdc590',
-  
-  // Race window constants (in blocks)
-  race: {
-    laneCount: 6,
-    oddsWindowBlocks: 10,
-    bettingWindowBlocks: 30,
-    postRaceCooldownBlocks: 30,
-    trackLength: 1000,
-    maxTicks: 500,
-    speedRange: 10,
-  },
-  
-  // Monte Carlo settings
-  monteCarlo: {
-    samples: parseInt(process.env.MONTE_CARLO_SAMPLES || '50000'),
-  },
-  
-  // Bot settings
-  bot: {
-    pollIntervalMs: 2000,
-    presenceApiUrl: process.env.PRESENCE_API_URL || 'https://giraffe-race.vercel.app/api/presence',
-    presenceCheckIntervalMs: 5000,
-    // Skip presence check on local chain (no real users)
-    skipPresenceCheck: isLocalChain || process.env.SKIP_PRESENCE_CHECK === 'true',
-  },
-  
-  // Debug flag
-  isLocalChain,
-};
+// Settings live in config-schema.js (types, ranges, defaults, env vars). The config is
+// built as defaults < CONFIG_FILE (JSON or YAML) < environment variables, then validated.
+
+function isLocalRpc(url) {
+  return url.includes('127.0.0.1') || url.includes('localhost');
+}
+
+function readConfigFile(file) {
+  const text = readFileSync(file, 'utf8');
+  const ext = extname(file).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') return YAML.parse(text) ?? {};
+  if (ext === '.json') return JSON.parse(text);
+  throw new Error(`${file}: config file must be .json, .yaml or .yml`);
+}
+
+/**
+ * Build and validate the config.
+ *
+ * @param {Object} [env=process.env]
+ * @param {string} [file=env.CONFIG_FILE]
+ * @returns {Object}
+ * @throws {Error} With `issues` (string[]) when the file or a setting is invalid
+ */
+export function loadConfig(env = process.env, file = env.CONFIG_FILE) {
+  const built = schemaDefaults();
+  const issues = [];
+
+  if (file) {
+    let values;
+    try {
+      values = readConfigFile(file);
+    } catch (error) {
+      throw Object.assign(new Error(`Cannot read config file ${file}: ${error.message}`), { issues: [] });
+    }
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      issues.push(`${file}: expected a mapping of settings`);
+    } else {
+      applyFileValues(built, values, issues);
+    }
+  }
+  applyEnvValues(built, env);
+  issues.push(...validateConfig(built));
+  if (issues.length > 0) {
+    throw Object.assign(new Error('Invalid configuration'), { issues });
+  }
+
+  // Detect if running on local chain
+  built.isLocalChain = built.fallbackRpcs.some(isLocalRpc) || built.chainId === 31337;
+  // Skip presence check on local chain (no real users)
+  built.bot.skipPresenceCheck = built.bot.skipPresenceCheck || built.isLocalChain;
+  // Race window constants (in blocks) are fixed by the contract, not configurable
+  built.race = RACE;
+  return built;
+}
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  for (const issue of error.issues ?? []) console.error(`   - ${issue}`);
+  process.exit(1);
+}
+
+export const config = loaded;
 
 export default config;
@@ -0,0 +1,146 @@
+/**
+ * Deployments: which GiraffeRace contracts this process drives.
+ *
+ * Without DEPLOYMENTS_FILE the bot runs a single deployment built from config.js / .env,
+ * exactly as before. With it, the JSON file lists several deployments, each overriding
+ * any part of the base config (chain, RPCs, contract, signer, Monte Carlo, presence...):
+ *
+ *   {
+ *     "deployments": [
+ *       { "name": "mainnet", "contract": "0x9f9e...", "privateKeyEnv": "PRIVATE_KEY" },
+ *       {
+ *         "name": "sepolia",
+ *         "chainId": 84532,
+ *         "rpcs": ["https://sepolia.base.org"],
+ *         "contract": "0x1234...",
+ *         "privateKeyEnv": "SEPOLIA_PRIVATE_KEY",
+ *         "monteCarlo": { "samples": 20000 },
+ *         "bot": { "skipPresenceCheck": true }
+ *       }
+ *     ]
+ *   }
+ *
+ * Private keys never go in the file; `privateKeyEnv` names the env var holding the key.
+ * A deployment can instead use a keystore or remote signer via a "signer" section
+ * (see config-schema.js), e.g. { "signer": { "backend": "keystore", "keystoreFile": "..." } }.
+ * Each named deployment gets its own ledger (race-ledger.<name>.jsonl) and in-flight
+ * transaction state (bot-state.<name>.json).
+ */
+
+import { readFileSync } from 'fs';
+import { LEDGER_FILE } from './ledger.js';
+import { STATE_FILE } from './inflight.js';
+import { validateConfig } from './config-schema.js';
+
+// Settings that belong to the process, not to a deployment
+const PROCESS_KEYS = ['logging', 'status'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function isLocalRpc(url) {
+  return url.includes('127.0.0.1') || url.includes('localhost');
+}
+
+/**
+ * Ledger file for a deployment.
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function ledgerFileFor(name) {
+  return name ? `race-ledger.${name}.jsonl` : LEDGER_FILE;
+}
+
+/**
+ * In-flight transaction state file for a deployment.
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function stateFileFor(name) {
+  return name ? `bot-state.${name}.json` : STATE_FILE;
+}
+
+function fromFileEntry(baseConfig, entry, index, file) {
+  if (!isPlainObject(entry)) throw new Error(`${file}: deployment #${index + 1} must be an object`);
+  const { name, rpcs, contract, privateKeyEnv = 'PRIVATE_KEY', ledgerFile, stateFile, ...overrides } = entry;
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`${file}: deployment #${index + 1} needs a "name" of letters, digits, "-" or "_"`);
+  }
+  for (const key of PROCESS_KEYS) {
+    if (key in overrides) throw new Error(`${file}: "${key}" is process-wide and cannot be set per deployment (${name})`);
+  }
+  if (rpcs !== undefined && (!Array.isArray(rpcs) || rpcs.length === 0)) {
+    throw new Error(`${file}: deployment "${name}" has an empty "rpcs" list`);
+  }
+
+  const deployment = deepMerge(baseConfig, overrides);
+  deployment.name = name;
+  if (rpcs) deployment.fallbackRpcs = rpcs;
+  if (contract) deployment.giraffeRaceContract = contract;
+  deployment.isLocalChain = entry.isLocalChain
+    ?? (deployment.fallbackRpcs.some(isLocalRpc) || deployment.chainId === 31337);
+  deployment.bot = {
+    ...deployment.bot,
+    skipPresenceCheck: entry.bot?.skipPresenceCheck
+      ?? (deployment.isLocalChain || process.env.SKIP_PRESENCE_CHECK === 'true'),
+  };
+  deployment.privateKeyEnv = privateKeyEnv;
+  deployment.privateKey = process.env[privateKeyEnv];
+  deployment.ledgerFile = ledgerFile || ledgerFileFor(name);
+  deployment.stateFile = stateFile || stateFileFor(name);
+
+  const issues = validateConfig(deployment);
+  if (issues.length > 0) {
+    throw new Error(`${file}: deployment "${name}" has invalid settings:\n${issues.map(issue => `   - ${issue}`).join('\n')}`);
+  }
+  return deployment;
+}
+
+/**
+ * Build the deployment configs for this process.
+ *
+ * @param {Object} baseConfig - config.js
+ * @param {string} [file=process.env.DEPLOYMENTS_FILE]
+ * @returns {Object[]} Deployment configs (same shape as config.js plus name, privateKey, ledgerFile, stateFile)
+ * @throws {Error} On an invalid file or duplicate deployment names (signers are loaded and
+ *   checked for collisions by signer.js loadSigners)
+ */
+export function loadDeployments(baseConfig, file = process.env.DEPLOYMENTS_FILE) {
+  let deployments;
+  if (!file) {
+    deployments = [{
+      ...baseConfig,
+      name: null,
+      privateKeyEnv: 'PRIVATE_KEY',
+      privateKey: process.env.PRIVATE_KEY,
+      ledgerFile: LEDGER_FILE,
+      stateFile: STATE_FILE,
+    }];
+  } else {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.deployments;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`${file}: expected a non-empty "deployments" array`);
+    }
+    deployments = list.map((entry, i) => fromFileEntry(baseConfig, entry, i, file));
+  }
+
+  const names = new Set();
+  for (const deployment of deployments) {
+    if (deployment.name === null) continue;
+    if (names.has(deployment.name)) throw new Error(`Duplicate deployment name "${deployment.name}"`);
+    names.add(deployment.name);
+  }
+  return deployments;
+}
+
+export default loadDeployments;
@@ -0,0 +1,152 @@
+/**
+ * Block and contract-event feed for event-driven mode.
+ *
+ * Subscribes to new blocks (eth_subscribe over WebSocket, or ethers' block polling over
+ * HTTP) and, for every new block range, pulls the GiraffeRace contract's logs with
+ * eth_getLogs. The bot loop calls `waitForChange()` instead of sleeping: it resolves as
+ * soon as the contract emits anything or the block the dashboard said to wait for
+ * arrives, so the dashboard is only re-queried when something may have changed.
+ *
+ * Logs are filtered by contract address only, not by topic: the race lifecycle event
+ * signatures in abi.js (RACE_EVENTS) are not yet confirmed against the contract, and a
+ * topic that doesn't match would silently never wake the loop. Logs matching one of
+ * them are reported by name and race ID, any other log by its topic. A log that didn't
+ * change the dashboard costs one extra read.
+ *
+ * The measured block interval replaces the fixed 2s estimate once blocks are flowing.
+ */
+
+import { EventEmitter } from 'events';
+import { GIRAFFE_RACE_INTERFACE, RACE_EVENTS } from './abi.js';
+
+// Weight of the newest sample in the block-time moving average
+const BLOCK_TIME_SMOOTHING = 0.2;
+
+export class ChainEventSource extends EventEmitter {
+  /**
+   * @param {import('ethers').Provider} provider - Provider to subscribe on (WebSocket or HTTP)
+   * @param {string} contractAddress
+   * @param {Object} [options]
+   * @param {boolean} [options.ownsProvider=false] - Destroy the provider on stop() (dedicated WebSocket)
+   */
+  constructor(provider, contractAddress, { ownsProvider = false } = {}) {
+    super();
+    this.provider = provider;
+    this.ownsProvider = ownsProvider;
+    this.contractAddress = contractAddress;
+    this.raceTopics = new Set(RACE_EVENTS.map(name => GIRAFFE_RACE_INTERFACE.getEvent(name).topicHash));
+    this.lastBlock = null;
+    this.lastBlockAt = null;
+    this.blockTimeMs = null;
+    // Events seen since the last waitForChange(), so none are lost while the bot is busy
+    this.pendingEvents = [];
+    this.blockListener = null;
+    // Block notifications are handled one at a time so log ranges never overlap
+    this.queue = Promise.resolve();
+  }
+
+  async start() {
+    this.lastBlock = await this.provider.getBlockNumber();
+    this.lastBlockAt = Date.now();
+    this.blockListener = blockNumber => {
+      this.queue = this.queue
+        .then(() => this.onBlock(blockNumber))
+        .catch(error => this.emit('error', error));
+    };
+    await this.provider.on('block', this.blockListener);
+  }
+
+  async stop() {
+    if (this.blockListener) {
+      await this.provider.off('block', this.blockListener);
+      this.blockListener = null;
+    }
+    if (this.ownsProvider) this.provider.destroy();
+  }
+
+  async onBlock(blockNumber) {
+    const fromBlock = this.lastBlock + 1;
+    // Duplicate or reorged-away notification
+    if (blockNumber < fromBlock) return;
+
+    // If this throws, lastBlock stays put and the next block retries the whole range
+    const logs = await this.provider.getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock: blockNumber,
+    });
+
+    const now = Date.now();
+    const sample = (now - this.lastBlockAt) / (blockNumber - this.lastBlock);
+    this.blockTimeMs = this.blockTimeMs === null
+      ? sample
+      : this.blockTimeMs * (1 - BLOCK_TIME_SMOOTHING) + sample * BLOCK_TIME_SMOOTHING;
+    this.lastBlock = blockNumber;
+    this.lastBlockAt = now;
+    const events = logs.map(entry => this.describe(entry));
+    this.pendingEvents.push(...events);
+    this.emit('change', { block: blockNumber, events });
+  }
+
+  // A race lifecycle event by name, anything else by its first topic
+  describe(entry) {
+    const topic = entry.topics[0] ?? null;
+    const event = { name: null, raceId: null, topic, blockNumber: entry.blockNumber, txHash: entry.transactionHash };
+    if (!this.raceTopics.has(topic)) return event;
+    try {
+      const parsed = GIRAFFE_RACE_INTERFACE.parseLog(entry);
+      return { ...event, name: parsed.name, raceId: parsed.args.raceId };
+    } catch {
+      // Same topic, different indexed layout
+      return event;
+    }
+  }
+
+  /**
+   * Wait until something may have changed the dashboard.
+   *
+   * @param {Object} options
+   * @param {number} options.sinceBlock - Block the dashboard was read at; older events are ignored
+   * @param {number} options.untilBlock - Resolve once this block is reached
+   * @param {number} options.timeoutMs - Give up (e.g. subscription died) after this long
+   * @param {AbortSignal} [options.signal] - Resolve with 'stopped' when aborted (shutdown)
+   * @returns {Promise<{ reason: 'event'|'block'|'timeout'|'stopped', block: number, events: Object[] }>}
+   */
+  waitForChange({ sinceBlock, untilBlock, timeoutMs, signal }) {
+    if (signal?.aborted) {
+      return Promise.resolve({ reason: 'stopped', block: this.lastBlock, events: [] });
+    }
+    this.pendingEvents = this.pendingEvents.filter(event => event.blockNumber > sinceBlock);
+    if (this.pendingEvents.length > 0) {
+      const events = this.pendingEvents;
+      this.pendingEvents = [];
+      return Promise.resolve({ reason: 'event', block: this.lastBlock, events });
+    }
+    if (this.lastBlock >= untilBlock) {
+      return Promise.resolve({ reason: 'block', block: this.lastBlock, events: [] });
+    }
+
+    return new Promise(resolve => {
+      const finish = result => {
+        clearTimeout(timer);
+        this.off('change', onChange);
+        signal?.removeEventListener('abort', onAbort);
+        this.pendingEvents = [];
+        resolve(result);
+      };
+      const onChange = ({ block, events }) => {
+        if (events.length > 0) {
+          finish({ reason: 'event', block, events });
+        } else if (block >= untilBlock) {
+          finish({ reason: 'block', block, events });
+        }
+      };
+      const onAbort = () => finish({ reason: 'stopped', block: this.lastBlock, events: [] });
+      const timer = setTimeout(() => finish({ reason: 'timeout', block: this.lastBlock, events: [] }), timeoutMs);
+      this.on('change', onChange);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+export default ChainEventSource;
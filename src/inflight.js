@@ -0,0 +1,88 @@
+/**
+ * In-flight transaction state (bot-state.json).
+ *
+ * Every transaction the bot has sent but not yet seen mined is kept here: action, raceId,
+ * nonce, every hash sent at that nonce (replacements included) and the last fees bid.
+ * The file is rewritten atomically (temporary file, fsync, rename) on each change, so a
+ * crash, SIGKILL or deploy mid-wait leaves an accurate record. On startup the bot
+ * reconciles these entries against chain receipts before re-entering its loop.
+ */
+
+import { openSync, writeSync, fsyncSync, closeSync, readFileSync, existsSync, renameSync } from 'fs';
+
+export const STATE_FILE = 'bot-state.json';
+
+function writeAtomically(file, text) {
+  const tmp = `${file}.tmp`;
+  const fd = openSync(tmp, 'w');
+  try {
+    writeSync(fd, text);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tmp, file);
+}
+
+export class InFlightStore {
+  /**
+   * @param {string} [file=STATE_FILE]
+   * @throws {Error} If the file exists but can't be parsed (refuse to forget transactions)
+   */
+  constructor(file = STATE_FILE) {
+    this.file = file;
+    this.load();
+  }
+
+  /**
+   * (Re)read the file, e.g. on taking over from a leader that shared it.
+   * @throws {Error} If the file exists but can't be parsed
+   */
+  load() {
+    this.transactions = [];
+    if (existsSync(this.file)) {
+      try {
+        this.transactions = JSON.parse(readFileSync(this.file, 'utf8')).transactions ?? [];
+      } catch (error) {
+        throw new Error(`Cannot read in-flight state ${this.file}: ${error.message} - fix or remove it after checking the wallet's pending transactions`);
+      }
+    }
+  }
+
+  /** @returns {Object[]} In-flight transactions, oldest nonce first */
+  list() {
+    return [...this.transactions].sort((a, b) => a.nonce - b.nonce);
+  }
+
+  /**
+   * Add or update the entry for a nonce.
+   * @param {{ action: string, raceId: bigint|string|null, nonce: number, hashes: string[], maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, cancelled?: boolean }} tx
+   */
+  record(tx) {
+    const entry = {
+      action: tx.action,
+      raceId: tx.raceId === null || tx.raceId === undefined ? null : tx.raceId.toString(),
+      nonce: tx.nonce,
+      hashes: [...tx.hashes],
+      maxFeePerGas: tx.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+      cancelled: tx.cancelled ?? false,
+      sentAt: this.transactions.find(t => t.nonce === tx.nonce)?.sentAt ?? new Date().toISOString(),
+    };
+    this.transactions = [...this.transactions.filter(t => t.nonce !== tx.nonce), entry];
+    this.save();
+  }
+
+  /** Forget a nonce (mined, or used by another transaction). */
+  clear(nonce) {
+    if (!this.transactions.some(t => t.nonce === nonce)) return;
+    this.transactions = this.transactions.filter(t => t.nonce !== nonce);
+    this.save();
+  }
+
+  save() {
+    writeAtomically(this.file, JSON.stringify({ transactions: this.transactions }, null, 2) + '\n');
+  }
+}
+
+export default InFlightStore;
@@ -0,0 +1,332 @@
+/**
+ * Lease-based leader election, so a hot standby can run next to the active bot.
+ *
+ * All instances of a deployment compete for one lease: a lock file on shared disk, or a
+ * key in a Redis-compatible server. The holder is the leader and the only instance that
+ * sends transactions; the others keep polling the dashboard as followers. The leader
+ * renews the lease every renewIntervalMs. If it dies or hangs, the lease runs out after
+ * leaseMs and a follower takes over on its next renewal tick.
+ *
+ * File leases compare wall clocks, so hosts sharing the disk need synchronized clocks;
+ * Redis expires the key server-side.
+ *
+ * The lease carries no transaction state. A new leader re-reads its nonce from the chain,
+ * but it reconciles only the in-flight transactions in its own state file (bot-state.json,
+ * or the deployment's stateFile): a standby on another host doesn't see what the old
+ * leader left unconfirmed unless that file is on the shared disk too. Those transactions
+ * still mine or get replaced, they just don't reach the new leader's ledger.
+ */
+
+import { EventEmitter } from 'events';
+import { openSync, closeSync, readFileSync, writeFileSync, renameSync, rmSync, statSync } from 'fs';
+import net from 'net';
+
+// A mutex file older than this was left by a crashed instance
+const MUTEX_STALE_MS = 10_000;
+const REDIS_TIMEOUT_MS = 5_000;
+
+// -----------------------
+// Lock file backend
+// -----------------------
+
+export class FileLease {
+  /**
+   * @param {string} file - Lease file (on disk shared by all instances)
+   */
+  constructor(file) {
+    this.file = file;
+    this.mutexFile = `${file}.mutex`;
+  }
+
+  describe() {
+    return `lock file ${this.file}`;
+  }
+
+  // Run fn while holding an exclusively created mutex file; null if another instance holds it
+  withMutex(fn) {
+    let fd;
+    try {
+      fd = openSync(this.mutexFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      if (Date.now() - statSync(this.mutexFile, { throwIfNoEntry: false })?.mtimeMs > MUTEX_STALE_MS) {
+        rmSync(this.mutexFile, { force: true });
+      }
+      return null;
+    }
+    try {
+      closeSync(fd);
+      return fn();
+    } finally {
+      rmSync(this.mutexFile, { force: true });
+    }
+  }
+
+  read() {
+    try {
+      return JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      // Missing, or torn by a crash mid-write: treat as free
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Take or renew the lease unless another holder's is still valid.
+   * @param {string} holder
+   * @param {number} ttlMs
+   * @returns {Promise<{ acquired: boolean, holder: string|null, expiresAt: number|null }|null>}
+   *   null when the answer is unknown this time (another instance was mid-update)
+   */
+  async acquire(holder, ttlMs) {
+    return this.withMutex(() => {
+      const current = this.read();
+      const now = Date.now();
+      if (current && current.holder !== holder && current.expiresAt > now) {
+        return { acquired: false, holder: current.holder, expiresAt: current.expiresAt };
+      }
+      const lease = { holder, expiresAt: now + ttlMs, renewedAt: new Date(now).toISOString() };
+      const tmp = `${this.file}.tmp`;
+      writeFileSync(tmp, JSON.stringify(lease) + '\n');
+      renameSync(tmp, this.file);
+      return { acquired: true, holder, expiresAt: lease.expiresAt };
+    });
+  }
+
+  /** Give the lease up if `holder` has it. */
+  async release(holder) {
+    this.withMutex(() => {
+      if (this.read()?.holder === holder) rmSync(this.file, { force: true });
+    });
+  }
+}
+
+// -----------------------
+// Redis backend
+// -----------------------
+
+// Parse one RESP reply starting at `offset`; null if the buffer doesn't hold all of it yet
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: new Error(line), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.next;
+      }
+      return { value: items, next: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(arg => {
+    const text = String(arg);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+  }).join('');
+}
+
+// Take the key if free or already ours; report the current holder and remaining ttl otherwise
+const ACQUIRE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current == false or current == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return {1, ARGV[1], tonumber(ARGV[2])}
+end
+return {0, current, redis.call('PTTL', KEYS[1])}`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+export class RedisLease {
+  /**
+   * @param {string} url - redis://[:password@]host[:port][/db]
+   * @param {string} key
+   */
+  constructor(url, key) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port || 6379);
+    this.password = decodeURIComponent(parsed.password || '');
+    this.db = parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+    this.key = key;
+  }
+
+  describe() {
+    return `redis://${this.host}:${this.port}/${this.db} key ${this.key}`;
+  }
+
+  // One short-lived connection per call: AUTH/SELECT if needed, then the command
+  command(...args) {
+    const commands = [
+      ...(this.password ? [['AUTH', this.password]] : []),
+      ...(this.db ? [['SELECT', this.db]] : []),
+      args,
+    ];
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      let buffer = Buffer.alloc(0);
+      const fail = error => {
+        socket.destroy();
+        reject(error);
+      };
+      socket.setTimeout(REDIS_TIMEOUT_MS, () => fail(new Error(`Redis ${this.host}:${this.port} timed out`)));
+      socket.on('error', fail);
+      socket.on('connect', () => socket.write(commands.map(encodeCommand).join('')));
+      socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        const replies = [];
+        let offset = 0;
+        while (replies.length < commands.length) {
+          const reply = parseReply(buffer, offset);
+          if (!reply) return;
+          replies.push(reply.value);
+          offset = reply.next;
+        }
+        socket.end();
+        const error = replies.find(reply => reply instanceof Error);
+        if (error) reject(new Error(`Redis error: ${error.message}`));
+        else resolve(replies.at(-1));
+      });
+    });
+  }
+
+  async acquire(holder, ttlMs) {
+    const [acquired, current, pttl] = await this.command('EVAL', ACQUIRE_SCRIPT, 1, this.key, holder, ttlMs);
+    return {
+      acquired: acquired === 1,
+      holder: current,
+      expiresAt: pttl > 0 ? Date.now() + pttl : null,
+    };
+  }
+
+  async release(holder) {
+    await this.command('EVAL', RELEASE_SCRIPT, 1, this.key, holder);
+  }
+}
+
+// -----------------------
+// Election
+// -----------------------
+
+/**
+ * Lease file name for a deployment: "bot-leader.lock" -> "bot-leader.mainnet.lock".
+ * @param {string} file
+ * @param {string|null} name
+ * @returns {string}
+ */
+export function leaseFileFor(file, name) {
+  return name ? file.replace(/(\.[^./]*)?$/, `.${name}$1`) : file;
+}
+
+/**
+ * Emits 'elected' and 'demoted' ({ holder }) on role changes and 'error' when the lease
+ * backend can't be reached (the current role is kept until its lease runs out).
+ */
+export class LeaderElection extends EventEmitter {
+  /**
+   * @param {FileLease|RedisLease} lease
+   * @param {Object} options
+   * @param {string} options.instanceId - Unique per instance (hostname:pid by default)
+   * @param {number} options.leaseMs - Lease lifetime; a dead leader is replaced after this long
+   * @param {number} options.renewIntervalMs - Renew / retry interval (well below leaseMs)
+   */
+  constructor(lease, { instanceId, leaseMs, renewIntervalMs }) {
+    super();
+    this.lease = lease;
+    this.instanceId = instanceId;
+    this.leaseMs = leaseMs;
+    this.renewIntervalMs = renewIntervalMs;
+    this.leader = false;
+    this.holder = null;
+    // Our own lease expiry, measured from before the renewal request (conservative)
+    this.expiresAt = 0;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /** Leader with a lease that hasn't run out by the local clock. */
+  isLeader() {
+    return this.leader && Date.now() < this.expiresAt;
+  }
+
+  role() {
+    return this.isLeader() ? 'leader' : 'follower';
+  }
+
+  async start() {
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.renewIntervalMs);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    await this.ticking;
+    if (this.leader) {
+      this.leader = false;
+      try {
+        await this.lease.release(this.instanceId);
+      } catch (error) {
+        this.emit('error', error);
+      }
+    }
+  }
+
+  tick() {
+    this.ticking ??= this.renew().finally(() => {
+      this.ticking = null;
+    });
+    return this.ticking;
+  }
+
+  async renew() {
+    const startedAt = Date.now();
+    let result = null;
+    try {
+      result = await this.lease.acquire(this.instanceId, this.leaseMs);
+    } catch (error) {
+      this.emit('error', error);
+    }
+
+    const wasLeader = this.isLeader();
+    if (result) {
+      this.holder = result.holder;
+      this.leader = result.acquired;
+      if (result.acquired) this.expiresAt = startedAt + this.leaseMs;
+    }
+    const isLeader = this.isLeader();
+    if (isLeader && !wasLeader) this.emit('elected', { holder: this.instanceId });
+    if (!isLeader && wasLeader) this.emit('demoted', { holder: this.holder });
+  }
+}
+
+export default LeaderElection;
@@ -0,0 +1,281 @@
+/**
+ * Append-only race ledger (JSON Lines).
+ *
+ * One line per event, never rewritten:
+ *   - tx:            a mined bot transaction (action, hash, gas, effective gas price, L1 fee, ETH cost, block)
+ *   - probabilities: an odds set submitted for a race (scores, bps arrays, calculation timing)
+ *   - error:         a failed bot action (decoded error)
+ *   - oddsMissed:    a race cancelled without odds, with why they were missed
+ *   - migration:     marker written when legacy files were imported
+ *
+ * Each append is a single write followed by fsync, so a crash can at worst leave a
+ * torn final line, which readers skip. The legacy gas-usage.json is imported once, by
+ * writing a temporary file and renaming it into place.
+ */
+
+import { openSync, writeSync, fsyncSync, closeSync, readFileSync, existsSync, renameSync } from 'fs';
+
+export const LEDGER_FILE = 'race-ledger.jsonl';
+
+// Files the ledger replaces, imported by migrateLegacy()
+export const LEGACY_FILES = {
+  gasUsageFile: 'gas-usage.json',
+};
+
+export const LEDGER_ACTIONS = ['createRace', 'setProbabilities', 'settleRace', 'cancelRace', 'cleanupExpiredRace'];
+
+function toJsonValue(value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function serialize(entry) {
+  return JSON.stringify(entry, (_, value) => toJsonValue(value)) + '\n';
+}
+
+function writeDurably(file, flags, text) {
+  const fd = openSync(file, flags);
+  try {
+    writeSync(fd, text);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+export class RaceLedger {
+  /**
+   * @param {string} [file=LEDGER_FILE]
+   */
+  constructor(file = LEDGER_FILE) {
+    this.file = file;
+  }
+
+  // -----------------------
+  // Writing
+  // -----------------------
+
+  append(entry) {
+    writeDurably(this.file, 'a', serialize({ ts: new Date().toISOString(), ...entry }));
+  }
+
+  /**
+   * Record a mined transaction.
+   *
+   * @param {bigint|string|null} raceId
+   * @param {string} action - One of LEDGER_ACTIONS
+   * @param {Object} receipt - ethers TransactionReceipt
+   * @param {bigint} [l1FeeWei=0n] - L1 data fee (OP-stack chains such as Base)
+   * @returns {Object} The ledger entry
+   */
+  recordTransaction(raceId, action, receipt, l1FeeWei = 0n) {
+    const gasUsed = BigInt(receipt.gasUsed);
+    const effectiveGasPrice = BigInt(receipt.gasPrice ?? 0n);
+    const l2CostWei = gasUsed * effectiveGasPrice;
+    const entry = {
+      type: 'tx',
+      raceId,
+      action,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      status: receipt.status,
+      gasUsed,
+      effectiveGasPrice,
+      l2CostWei,
+      l1FeeWei,
+      costWei: l2CostWei + l1FeeWei,
+    };
+    this.append(entry);
+    return entry;
+  }
+
+  /**
+   * Record a submitted odds set.
+   *
+   * @param {bigint|string} raceId
+   * @param {Object} probabilities - { scores, winProbBps, placeProbBps, showProbBps }
+   * @param {Object} calculation - { method, samples, elapsedMs, maxStdErrBps }
+   * @param {string} txHash
+   */
+  recordProbabilities(raceId, probabilities, calculation, txHash) {
+    this.append({
+      type: 'probabilities',
+      raceId,
+      txHash,
+      scores: probabilities.scores,
+      winProbBps: probabilities.winProbBps,
+      placeProbBps: probabilities.placeProbBps,
+      showProbBps: probabilities.showProbBps,
+      calculation,
+    });
+  }
+
+  /**
+   * Record a race cancelled because its odds were never set.
+   *
+   * @param {bigint|string} raceId
+   * @param {Object} miss - { reason, detail, attempts } - why the odds were missed
+   * @param {string} mode - 'explicit' (cancelRaceNoOdds) or 'auto' (next createRace)
+   * @param {string|null} txHash - Transaction that cancelled it
+   */
+  recordOddsMissed(raceId, miss, mode, txHash) {
+    this.append({
+      type: 'oddsMissed',
+      raceId,
+      reason: miss.reason,
+      detail: miss.detail,
+      attempts: miss.attempts,
+      mode,
+      txHash,
+    });
+  }
+
+  /**
+   * Record a failed bot action.
+   *
+   * @param {bigint|string|null} raceId
+   * @param {string} action
+   * @param {string|Object} error - Error message, or a decoded contract error (abi.js)
+   */
+  recordError(raceId, action, error) {
+    if (typeof error === 'string') {
+      this.append({ type: 'error', raceId, action, error });
+      return;
+    }
+    this.append({
+      type: 'error',
+      raceId,
+      action,
+      error: error.message,
+      errorName: error.name,
+      errorArgs: error.args,
+      selector: error.selector,
+      rpc: error.rpc,
+    });
+  }
+
+  // -----------------------
+  // Reading
+  // -----------------------
+
+  /**
+   * @returns {Object[]} All well-formed entries in order
+   */
+  readEntries() {
+    if (!existsSync(this.file)) return [];
+    const entries = [];
+    for (const line of readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Torn final line from a crash mid-append
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Aggregate gas and ETH cost per action and per race.
+   *
+   * @returns {{ raceCount: number, totals: Object, races: Map<string, Object>, errors: number }}
+   */
+  summarize() {
+    const blank = () => ({ gasUsed: 0n, costWei: 0n, count: 0 });
+    const totals = Object.fromEntries([...LEDGER_ACTIONS, 'total'].map(a => [a, blank()]));
+    const races = new Map();
+    let errors = 0;
+
+    for (const entry of this.readEntries()) {
+      if (entry.type === 'error') errors++;
+      if (entry.type !== 'tx') continue;
+      const gasUsed = BigInt(entry.gasUsed);
+      const costWei = BigInt(entry.costWei ?? 0);
+      for (const key of [entry.action, 'total']) {
+        if (!totals[key]) totals[key] = blank();
+        totals[key].gasUsed += gasUsed;
+        totals[key].costWei += costWei;
+        totals[key].count++;
+      }
+      if (entry.raceId !== null && entry.raceId !== undefined) {
+        const raceKey = entry.raceId.toString();
+        if (!races.has(raceKey)) races.set(raceKey, blank());
+        const race = races.get(raceKey);
+        race.gasUsed += gasUsed;
+        race.costWei += costWei;
+        race.count++;
+      }
+    }
+
+    return { raceCount: races.size, totals, races, errors };
+  }
+
+  /**
+   * Latest submitted odds set per race.
+   * @returns {Object[]}
+   */
+  probabilityHistory() {
+    const byRace = new Map();
+    for (const entry of this.readEntries()) {
+      if (entry.type === 'probabilities') byRace.set(entry.raceId.toString(), entry);
+    }
+    return [...byRace.values()];
+  }
+
+  // -----------------------
+  // Migration
+  // -----------------------
+
+  /**
+   * Import legacy files into a new ledger. Does nothing if the ledger already exists.
+   *
+   * @param {Object} [legacy=LEGACY_FILES]
+   * @param {string} [legacy.gasUsageFile] - Old gas-usage.json
+   * @returns {number} Number of entries imported
+   */
+  migrateLegacy({ gasUsageFile } = LEGACY_FILES) {
+    if (existsSync(this.file)) return 0;
+
+    const entries = [];
+    if (gasUsageFile && existsSync(gasUsageFile)) {
+      const data = JSON.parse(readFileSync(gasUsageFile, 'utf8'));
+      for (const [raceId, race] of Object.entries(data.races || {})) {
+        for (const action of LEDGER_ACTIONS) {
+          const tx = race[action];
+          if (!tx) continue;
+          entries.push({
+            ts: tx.timestamp,
+            type: 'tx',
+            raceId,
+            action,
+            txHash: tx.txHash,
+            blockNumber: null,
+            status: 1,
+            gasUsed: BigInt(tx.gasUsed),
+            // gas-usage.json never stored the gas price
+            effectiveGasPrice: null,
+            l2CostWei: null,
+            l1FeeWei: null,
+            costWei: null,
+            migrated: true,
+          });
+        }
+      }
+    }
+    if (entries.length === 0) return 0;
+
+    entries.sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+    entries.push({
+      ts: new Date().toISOString(),
+      type: 'migration',
+      sources: [gasUsageFile],
+      imported: entries.length,
+    });
+
+    const tmp = `${this.file}.tmp`;
+    writeDurably(tmp, 'w', entries.map(serialize).join(''));
+    renameSync(tmp, this.file);
+    return entries.length - 1;
+  }
+}
+
+export default RaceLedger;
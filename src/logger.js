@@ -0,0 +1,148 @@
+/**
+ * Logging subsystem: levels, pretty/JSON output, per-race correlation and file rotation.
+ *
+ *   - LOG_FORMAT=pretty (default) keeps the console style: "[timestamp] 🦒 message"
+ *   - LOG_FORMAT=json writes one JSON object per line with level, msg and fields
+ *   - Fields set with withLogContext() (raceId, action, block, ...) are attached to
+ *     every event logged inside the callback, including from nested async calls
+ *   - LOG_TO_FILE=true (or logging.dir in the config file) enables a JSON Lines file
+ *     (logs/bot.log) rotated by size
+ *   - A `deployment` context field (multi-deployment mode) prefixes pretty lines with [name]
+ *
+ * Multi-line blocks (probability tables, summaries) are printed as-is in pretty mode
+ * and emitted as a single event carrying the structured data in JSON mode.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFileSync, existsSync, mkdirSync, renameSync, statSync, rmSync } from 'fs';
+import { join } from 'path';
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+const settings = {
+  level: 'info',
+  format: 'pretty',
+  dir: null,
+  maxBytes: 10 * 1024 * 1024,
+  maxFiles: 5,
+};
+let fileBytes = 0;
+
+/**
+ * @param {Object} options
+ * @param {string} [options.level='info'] - debug | info | warn | error
+ * @param {string} [options.format='pretty'] - pretty | json
+ * @param {string|null} [options.dir=null] - Directory for rotating bot.log (null = console only)
+ * @param {number} [options.maxBytes] - Rotate bot.log after this many bytes
+ * @param {number} [options.maxFiles] - Rotated files to keep (bot.log.1 .. bot.log.N)
+ */
+export function configureLogger(options = {}) {
+  Object.assign(settings, Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)));
+  if (!LEVELS[settings.level]) settings.level = 'info';
+  if (settings.format !== 'json') settings.format = 'pretty';
+  if (settings.dir) {
+    mkdirSync(settings.dir, { recursive: true });
+    const file = logFile();
+    fileBytes = existsSync(file) ? statSync(file).size : 0;
+  }
+}
+
+/**
+ * Run `fn` with extra fields attached to every log event it produces.
+ * @param {Object} fields
+ * @param {Function} fn
+ */
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+// -----------------------
+// Output
+// -----------------------
+
+function logFile() {
+  return join(settings.dir, 'bot.log');
+}
+
+function rotate() {
+  const base = logFile();
+  rmSync(`${base}.${settings.maxFiles}`, { force: true });
+  for (let i = settings.maxFiles - 1; i >= 1; i--) {
+    if (existsSync(`${base}.${i}`)) renameSync(`${base}.${i}`, `${base}.${i + 1}`);
+  }
+  if (existsSync(base)) renameSync(base, `${base}.1`);
+  fileBytes = 0;
+}
+
+function writeFile(line) {
+  if (!settings.dir) return;
+  try {
+    if (fileBytes + line.length > settings.maxBytes) rotate();
+    appendFileSync(logFile(), line);
+    fileBytes += Buffer.byteLength(line);
+  } catch (error) {
+    console.error(`Failed to write log file: ${error.message}`);
+  }
+}
+
+function toJsonValue(_, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// Several deployments share the console: tag their pretty output
+function deploymentTag() {
+  const deployment = contextStorage.getStore()?.deployment;
+  return deployment ? `[${deployment}] ` : '';
+}
+
+function tagLines(text, tag) {
+  return tag ? text.split('\n').map(line => (line ? tag + line : line)).join('\n') : text;
+}
+
+function emit(level, message, fields, prettyText) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+
+  const ts = new Date().toISOString();
+  const { emoji, ...rest } = fields;
+  const context = contextStorage.getStore() || {};
+  const event = { ts, level, msg: message, ...context, ...rest };
+  const jsonLine = JSON.stringify(event, toJsonValue) + '\n';
+  const tag = deploymentTag();
+
+  if (settings.format === 'json') {
+    process.stdout.write(jsonLine);
+  } else if (prettyText !== undefined) {
+    console.log(tagLines(prettyText, tag));
+  } else {
+    const line = `[${ts}] ${tag}${emoji ? `${emoji} ` : ''}${message}`;
+    if (level === 'error') console.error(line);
+    else console.log(line);
+  }
+  writeFile(jsonLine);
+}
+
+export const logger = {
+  debug: (message, fields = {}) => emit('debug', message, fields),
+  info: (message, fields = {}) => emit('info', message, fields),
+  warn: (message, fields = {}) => emit('warn', message, fields),
+  error: (message, fields = {}) => emit('error', message, fields),
+  /**
+   * Multi-line block: printed verbatim in pretty mode, one structured event in JSON mode.
+   * @param {string} text - Pretty text
+   * @param {string} message - Event message for JSON output
+   * @param {Object} [fields]
+   * @param {string} [level='info']
+   */
+  block: (text, message, fields = {}, level = 'info') => emit(level, message, fields, text),
+  /**
+   * Decoration (dividers, banners) printed only in pretty mode; never written to JSON or files.
+   * @param {string} text
+   */
+  decoration: (text) => {
+    if (settings.format === 'pretty') console.log(tagLines(text, deploymentTag()));
+  },
+};
+
+export default logger;
@@ -0,0 +1,156 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Counters, gauges and histograms with optional labels, rendered by renderMetrics()
+ * for the status server's /metrics endpoint. No external client library needed.
+ */
+
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// -----------------------
+// Metric types
+// -----------------------
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  seriesFor(labels, init) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...init() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header();
+    // Expose 0 before the first increment so rate() works from the start
+    if (this.series.size === 0) lines.push(`${this.name} 0`);
+    for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(value, labels = {}) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(value, labels = {}) {
+    const s = this.seriesFor(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(s.labels, { le: formatValue(le) })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(s.labels, { le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+// -----------------------
+// Bot metrics
+// -----------------------
+
+export const metrics = {
+  racesCreated: new Counter('giraffe_races_created_total', 'Races created by the bot'),
+  racesSettled: new Counter('giraffe_races_settled_total', 'Races settled by the bot'),
+  racesCancelled: new Counter('giraffe_races_cancelled_total', 'Races cancelled because odds were not set in time, by reason'),
+  probabilitiesSet: new Counter('giraffe_probabilities_set_total', 'Odds sets submitted'),
+  txFailures: new Counter('giraffe_tx_failures_total', 'Failed bot actions by action and decoded error'),
+  quorumFailures: new Counter('giraffe_quorum_failures_total', 'Dashboard reads skipped because providers disagreed'),
+  presenceApiErrors: new Counter('giraffe_presence_api_errors_total', 'Presence API checks that failed (API down, not zero users)'),
+  preflightRejections: new Counter('giraffe_preflight_rejections_total', 'Actions not sent because the pre-flight simulation reverted'),
+  gasUsed: new Counter('giraffe_gas_used_total', 'Gas used by bot transactions'),
+  ethSpent: new Counter('giraffe_eth_spent_total', 'ETH spent on bot transactions (L2 + L1 fee)'),
+  monteCarloDuration: new Histogram(
+    'giraffe_monte_carlo_duration_seconds',
+    'Probability calculation duration',
+    [0.1, 0.25, 0.5, 1, 2, 4, 8, 16]
+  ),
+  walletBalance: new Gauge('giraffe_wallet_balance_eth', 'Bot wallet balance in ETH'),
+  isLeader: new Gauge('giraffe_leader', '1 while this instance holds the leader lease, 0 as a follower (leader election only)'),
+  raceCreationHeld: new Gauge('giraffe_race_creation_held', '1 while the scheduling policy holds back new races'),
+  lastDashboardPoll: new Gauge('giraffe_last_dashboard_poll_timestamp_seconds', 'Unix time of the last successful dashboard poll'),
+};
+
+/**
+ * Render every registered metric in Prometheus text format.
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return registry.flatMap(m => m.render()).join('\n') + '\n';
+}
+
+export default { metrics, renderMetrics, Counter, Gauge, Histogram };
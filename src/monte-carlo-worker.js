@@ -0,0 +1,11 @@
+/**
+ * Worker thread entry point for calculateProbabilitiesParallel.
+ * Runs one slice of the sample budget and posts the per-lane credits back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runSampleBatch } from './monte-carlo.js';
+
+const { seedX, count, scores } = workerData;
+
+parentPort.postMessage(runSampleBatch(seedX, count, scores));
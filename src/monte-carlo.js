@@ -22,11 +22,15 @@
  * probabilities to odds: odds = (1 - houseEdge) / probability
  */
 
-const LANE_COUNT = 6;
-const SPEED_RANGE = 10;
-const TRACK_LENGTH = 1000;
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+import { RACE } from './race-constants.js';
+
+const LANE_COUNT = RACE.laneCount;
+const SPEED_RANGE = RACE.speedRange;
+const TRACK_LENGTH = RACE.trackLength;
 const FINISH_OVERSHOOT = 10; // Run until last place is this far past finish
-const MAX_TICKS = 500;
+const MAX_TICKS = RACE.maxTicks;
 const FINISH_TIME_PRECISION = 10000; // Precision for fractional tick calculation
 
 // -----------------------
@@ -34,7 +38,12 @@ const FINISH_TIME_PRECISION = 10000; // Precision for fractional tick calculatio
 // -----------------------
 
 class FastRng {
-  constructor(seed) {
+  /**
+   * @param {number} seed - Numeric seed
+   * @param {boolean} [antithetic=false] - Mirror every roll (n-1-x) for antithetic variates
+   */
+  constructor(seed, antithetic = false) {
+    this.antithetic = antithetic;
     // Initialize state from numeric seed
     this.s0 = seed >>> 0 || 0x12345678;
     this.s1 = Math.imul(seed, 0x85ebca6b) >>> 0 || 0x9abcdef0;
@@ -60,7 +69,8 @@ class FastRng {
   // Returns random integer in [0, n-1]
   roll(n) {
     if (n <= 1) return 0;
-    return this.next() % n;
+    const x = this.next() % n;
+    return this.antithetic ? n - 1 - x : x;
   }
 }
 
@@ -111,10 +121,11 @@ function scoreBps(score) {
  *
  * @param {number} seed - Numeric seed for RNG
  * @param {number[]} scores - Array of 6 scores (1-10)
+ * @param {boolean} [antithetic=false] - Mirror every roll (antithetic twin of the same seed)
  * @returns {{ finishOrder: Object, finalDistances: number[], finishTimes: number[] }}
  */
-function simulateFullRace(seed, scores) {
-  const rng = new FastRng(seed);
+function simulateFullRace(seed, scores, antithetic = false) {
+  const rng = new FastRng(seed, antithetic);
   const distances = [0, 0, 0, 0, 0, 0];
   const bps = [
     scoreBps(scores[0]),
@@ -182,6 +193,41 @@ function simulateFullRace(seed, scores) {
   return { finishOrder, finalDistances: distances, finishTimes };
 }
 
+/**
+ * Simulate a single lane on its own RNG stream and return its precise finish time
+ * (same encoding as simulateFullRace, -1 if it never crosses within MAX_TICKS).
+ * Used by the variance-reduced sampler, where lanes need independent streams.
+ *
+ * @param {FastRng} rng - Lane's RNG stream (antithetic flag mirrors the rolls)
+ * @param {number} bps - Lane handicap from scoreBps()
+ * @param {Function|null} baseRoll - Stratified base roll for tick t (0..9), or null to draw from rng
+ * @returns {number}
+ */
+function simulateLaneFinishTime(rng, bps, baseRoll) {
+  let distance = 0;
+  for (let t = 0; t < MAX_TICKS; t++) {
+    let r = baseRoll ? baseRoll(t) : rng.roll(SPEED_RANGE);
+    if (baseRoll && rng.antithetic) r = SPEED_RANGE - 1 - r;
+
+    const raw = (r + 1) * bps;
+    let q = Math.floor(raw / 10_000);
+    const rem = raw % 10_000;
+    if (rem > 0) {
+      const pick = rng.roll(10_000);
+      if (pick < rem) q += 1;
+    }
+
+    const speed = q > 0 ? q : 1;
+    const prevDist = distance;
+    distance += speed;
+    if (distance >= TRACK_LENGTH) {
+      const fractional = Math.floor(((TRACK_LENGTH - prevDist) * FINISH_TIME_PRECISION) / speed);
+      return t * FINISH_TIME_PRECISION + fractional;
+    }
+  }
+  return -1;
+}
+
 /**
  * Calculate finish order based on precise finish time (with fractional tick interpolation).
  * - Lower finishTime = crossed finish line earlier = higher position
@@ -386,63 +432,75 @@ function fmtBps(p) {
 }
 
 // -----------------------
-// Exported functions for bot integration
+// Shared sampling core (main thread and workers)
 // -----------------------
 
-/**
- * Calculate Win/Place/Show probabilities for a race using Monte Carlo simulation.
- *
- * @param {number[]} scores - Array of 6 scores (1-10)
- * @param {number} samples - Number of simulations to run
- * @param {number} [salt=0] - Optional salt for seed variety
- * @returns {{
- *   scores: number[],
- *   samples: number,
- *   elapsedMs: number,
- *   winProbBps: number[],
- *   placeProbBps: number[],
- *   showProbBps: number[],
- *   lanes: Array<{lane: number, score: number, winProbBps: number, placeProbBps: number, showProbBps: number, winProb: number, placeProb: number, showProb: number}>
- * }}
- */
-export function calculateProbabilities(scores, samples, salt = 0) {
-  // Validate inputs
+function validateInputs(scores, samples) {
   if (!Array.isArray(scores) || scores.length !== LANE_COUNT) {
     throw new Error(`Expected ${LANE_COUNT} scores, got ${scores?.length}`);
   }
   if (!Number.isFinite(samples) || samples <= 0) {
     throw new Error('samples must be > 0');
   }
+}
 
-  // Clamp scores
-  const clampedScores = scores.map(s => clampScore(s));
+// Samples between clock checks when a fixed budget has a hard deadline
+const DEADLINE_CHECK_SAMPLES = 1000;
 
-  // Initialize stats
-  const stats = Array.from({ length: LANE_COUNT }, () => ({
+// Thrown when options.deadlineMs runs out before a fixed budget is done
+function deadlineExceeded(deadlineMs) {
+  const error = new Error(`Monte Carlo simulation did not finish within ${deadlineMs}ms`);
+  error.code = 'DEADLINE_EXCEEDED';
+  return error;
+}
+
+function createStats() {
+  return Array.from({ length: LANE_COUNT }, () => ({
     winCredits: 0,
     placeCredits: 0,
     showCredits: 0,
   }));
+}
 
-  // Seed generator state
+/**
+ * Build the splitmix32 seed state for a scores/salt combination.
+ * Every sampling mode starts from this state so results stay reproducible.
+ */
+function createSeedState(clampedScores, salt) {
   const seedState = { x: (salt * 0x9e3779b9) >>> 0 || 0x12345678 };
   // Mix in scores
   for (const s of clampedScores) {
     seedState.x = (seedState.x ^ (s * 0x85ebca6b)) >>> 0;
     splitmix32Next(seedState);
   }
+  return seedState;
+}
 
-  const started = Date.now();
+/**
+ * Run `count` races drawing seeds from a splitmix32 stream starting at `seedX`.
+ * Exported for the worker thread entry point; not part of the bot-facing API.
+ *
+ * @param {number} seedX - Initial splitmix32 state
+ * @param {number} count - Number of races to simulate
+ * @param {number[]} clampedScores - Array of 6 clamped scores
+ * @returns {Object[]} Per-lane win/place/show credits
+ */
+export function runSampleBatch(seedX, count, clampedScores) {
+  const stats = createStats();
+  runSamples({ x: seedX >>> 0 }, count, clampedScores, stats);
+  return stats;
+}
 
-  // Run simulations
-  for (let i = 0; i < samples; i++) {
+// Advance `seedState` by `count` races, accumulating into `stats`
+function runSamples(seedState, count, clampedScores, stats) {
+  for (let i = 0; i < count; i++) {
     const seed = splitmix32Next(seedState);
     const { finishOrder } = simulateFullRace(seed, clampedScores);
     accumulateStats(stats, finishOrder);
   }
+}
 
-  const elapsedMs = Date.now() - started;
-
+function buildResult(clampedScores, samples, stats, elapsedMs) {
   // Calculate probabilities
   const lanes = stats.map((s, lane) => ({
     lane,
@@ -471,6 +529,645 @@ export function calculateProbabilities(scores, samples, salt = 0) {
   };
 }
 
+// -----------------------
+// Precision (standard error and confidence intervals)
+// -----------------------
+
+const DEFAULT_CI_Z = 1.96; // 95% two-sided
+
+/**
+ * Standard error of a probability estimate in bps.
+ * A lane earns at most 1 Win/Place/Show credit per race, so p(1-p) bounds the
+ * per-sample variance; with dead heats rare this is effectively the binomial error.
+ */
+function stdErrBps(p, samples) {
+  return Math.sqrt(Math.max(0, p * (1 - p)) / samples) * 10_000;
+}
+
+function ciBps(p, seBps, z) {
+  const center = p * 10_000;
+  return [
+    Math.max(0, Math.round(center - z * seBps)),
+    Math.min(10_000, Math.round(center + z * seBps)),
+  ];
+}
+
+function maxStdErrBps(stats, samples) {
+  let max = 0;
+  for (const s of stats) {
+    max = Math.max(
+      max,
+      stdErrBps(s.winCredits / samples, samples),
+      stdErrBps(s.placeCredits / samples, samples),
+      stdErrBps(s.showCredits / samples, samples),
+    );
+  }
+  return max;
+}
+
+/**
+ * Add per-lane standard errors / confidence intervals and a `precision` summary
+ * to a sampled result. `stdErrs` overrides the binomial bound with measured errors.
+ */
+function attachPrecision(result, z, summary, stdErrs = null) {
+  const { samples } = result;
+  let maxSe = 0;
+  for (const lane of result.lanes) {
+    lane.winStdErrBps = stdErrs ? stdErrs[lane.lane].win : stdErrBps(lane.winProb, samples);
+    lane.placeStdErrBps = stdErrs ? stdErrs[lane.lane].place : stdErrBps(lane.placeProb, samples);
+    lane.showStdErrBps = stdErrs ? stdErrs[lane.lane].show : stdErrBps(lane.showProb, samples);
+    lane.winCiBps = ciBps(lane.winProb, lane.winStdErrBps, z);
+    lane.placeCiBps = ciBps(lane.placeProb, lane.placeStdErrBps, z);
+    lane.showCiBps = ciBps(lane.showProb, lane.showStdErrBps, z);
+    maxSe = Math.max(maxSe, lane.winStdErrBps, lane.placeStdErrBps, lane.showStdErrBps);
+  }
+  result.precision = {
+    z,
+    maxStdErrBps: maxSe,
+    maxCiHalfWidthBps: z * maxSe,
+    ...summary,
+  };
+  return result;
+}
+
+// -----------------------
+// Variance reduction (antithetic rolls, common random numbers, stratified seeding)
+// -----------------------
+
+/**
+ * Latin-hypercube base speed rolls: within a group of SPEED_RANGE strata, every lane
+ * stream sees each base roll 0..9 exactly once per tick, in an independent random order.
+ * Permutations are filled lazily per stream as ticks are reached.
+ */
+class StratifiedRolls {
+  constructor(seed) {
+    const seedState = { x: seed >>> 0 };
+    this.rngs = Array.from({ length: LANE_COUNT }, () => new FastRng(splitmix32Next(seedState)));
+    this.perms = Array.from({ length: LANE_COUNT }, () => new Uint8Array(MAX_TICKS * SPEED_RANGE));
+    this.filled = new Int32Array(LANE_COUNT);
+  }
+
+  get(stream, tick, stratum) {
+    const perm = this.perms[stream];
+    while (this.filled[stream] <= tick) {
+      const base = this.filled[stream] * SPEED_RANGE;
+      for (let i = 0; i < SPEED_RANGE; i++) perm[base + i] = i;
+      for (let i = SPEED_RANGE - 1; i > 0; i--) {
+        const j = this.rngs[stream].roll(i + 1);
+        const tmp = perm[base + i];
+        perm[base + i] = perm[base + j];
+        perm[base + j] = tmp;
+      }
+      this.filled[stream]++;
+    }
+    return perm[tick * SPEED_RANGE + stratum];
+  }
+}
+
+/**
+ * Simulate one group of races that share random numbers and accumulate into `stats`.
+ *
+ * - stratified: SPEED_RANGE strata with Latin-hypercube base rolls (StratifiedRolls)
+ * - antithetic: each stratum is raced twice, the second time with every roll mirrored
+ * - commonRandomNumbers: six per-lane noise streams are raced under every lane's
+ *   handicap and the lane assignment is rotated six ways, so each lane is priced
+ *   against the same random inputs as every other lane
+ *
+ * Every race in the group has the plain race's joint distribution, so the group mean
+ * is an unbiased estimate; the shared randomness makes it less noisy.
+ */
+function simulateGroup(groupSeed, clampedScores, bps, vr, stats) {
+  const groupState = { x: groupSeed >>> 0 };
+  const strataCount = vr.stratified ? SPEED_RANGE : 1;
+  const mirrors = vr.antithetic ? 2 : 1;
+  const perLane = vr.stratified || vr.commonRandomNumbers;
+  const strata = vr.stratified ? new StratifiedRolls(splitmix32Next(groupState)) : null;
+  const noDistances = [0, 0, 0, 0, 0, 0];
+
+  for (let stratum = 0; stratum < strataCount; stratum++) {
+    if (!perLane) {
+      const seed = splitmix32Next(groupState);
+      for (let m = 0; m < mirrors; m++) {
+        accumulateStats(stats, simulateFullRace(seed, clampedScores, m === 1).finishOrder);
+      }
+      continue;
+    }
+
+    const streamSeeds = Array.from({ length: LANE_COUNT }, () => splitmix32Next(groupState));
+    const laneTime = (stream, laneBps, antithetic) => simulateLaneFinishTime(
+      new FastRng(streamSeeds[stream], antithetic),
+      laneBps,
+      strata ? (t) => strata.get(stream, t, stratum) : null
+    );
+
+    for (let m = 0; m < mirrors; m++) {
+      const antithetic = m === 1;
+
+      if (!vr.commonRandomNumbers) {
+        const finishTimes = bps.map((laneBps, lane) => laneTime(lane, laneBps, antithetic));
+        accumulateStats(stats, calculateFinishOrder(finishTimes, noDistances));
+        continue;
+      }
+
+      // times[stream].get(bps): finish time of `stream` raced with that handicap
+      const times = streamSeeds.map((_, stream) => {
+        const byBps = new Map();
+        for (const laneBps of bps) {
+          if (!byBps.has(laneBps)) byBps.set(laneBps, laneTime(stream, laneBps, antithetic));
+        }
+        return byBps;
+      });
+
+      for (let rotation = 0; rotation < LANE_COUNT; rotation++) {
+        const finishTimes = bps.map((laneBps, lane) => times[(lane + rotation) % LANE_COUNT].get(laneBps));
+        accumulateStats(stats, calculateFinishOrder(finishTimes, noDistances));
+      }
+    }
+  }
+}
+
+/**
+ * Fixed-budget sampling with variance reduction. Runs whole groups (see simulateGroup),
+ * measures the spread of group means, and reports how much smaller the estimator's
+ * variance is than plain sampling would give for the same number of races.
+ *
+ * Groups can't be split without losing their balance, so the races actually run are
+ * the requested count rounded to whole groups: `samples` reports the requested count,
+ * `varianceReduction.effectiveSamples` the races run.
+ */
+function runVarianceReduced(clampedScores, samples, seedState, z, vr, deadlineMs = Infinity) {
+  const racesPerGroup = (vr.stratified ? SPEED_RANGE : 1)
+    * (vr.antithetic ? 2 : 1)
+    * (vr.commonRandomNumbers ? LANE_COUNT : 1);
+  const groups = Math.max(2, Math.round(samples / racesPerGroup));
+  const totalSamples = groups * racesPerGroup;
+  const bps = clampedScores.map(scoreBps);
+
+  const started = Date.now();
+  const stats = createStats();
+  // Sum and sum of squares of group means, per lane and pool
+  const sums = Array.from({ length: LANE_COUNT }, () => ({ win: 0, place: 0, show: 0 }));
+  const sumSqs = Array.from({ length: LANE_COUNT }, () => ({ win: 0, place: 0, show: 0 }));
+
+  for (let g = 0; g < groups; g++) {
+    const groupStats = createStats();
+    simulateGroup(splitmix32Next(seedState), clampedScores, bps, vr, groupStats);
+    if (g < groups - 1 && Date.now() - started >= deadlineMs) {
+      throw deadlineExceeded(deadlineMs);
+    }
+    for (let lane = 0; lane < LANE_COUNT; lane++) {
+      const gs = groupStats[lane];
+      stats[lane].winCredits += gs.winCredits;
+      stats[lane].placeCredits += gs.placeCredits;
+      stats[lane].showCredits += gs.showCredits;
+      for (const [pool, credits] of [['win', gs.winCredits], ['place', gs.placeCredits], ['show', gs.showCredits]]) {
+        const mean = credits / racesPerGroup;
+        sums[lane][pool] += mean;
+        sumSqs[lane][pool] += mean * mean;
+      }
+    }
+  }
+
+  const elapsedMs = Date.now() - started;
+
+  // Variance of the overall estimate (mean of group means) vs plain p(1-p)/N
+  const stdErrs = [];
+  const plainTotals = { win: 0, place: 0, show: 0 };
+  const actualTotals = { win: 0, place: 0, show: 0 };
+  for (let lane = 0; lane < LANE_COUNT; lane++) {
+    const laneErrs = {};
+    for (const pool of ['win', 'place', 'show']) {
+      const mean = sums[lane][pool] / groups;
+      const groupVar = Math.max(0, (sumSqs[lane][pool] - groups * mean * mean) / (groups - 1));
+      const estimatorVar = groupVar / groups;
+      laneErrs[pool] = Math.sqrt(estimatorVar) * 10_000;
+      plainTotals[pool] += (mean * (1 - mean)) / totalSamples;
+      actualTotals[pool] += estimatorVar;
+    }
+    stdErrs.push(laneErrs);
+  }
+  const factor = (pool) => (actualTotals[pool] > 0 ? plainTotals[pool] / actualTotals[pool] : Infinity);
+
+  const result = attachPrecision(buildResult(clampedScores, totalSamples, stats, elapsedMs), z, {
+    stopReason: 'fixed',
+    batches: groups,
+  }, stdErrs);
+  result.samples = samples;
+  result.varianceReduction = {
+    antithetic: Boolean(vr.antithetic),
+    commonRandomNumbers: Boolean(vr.commonRandomNumbers),
+    stratified: Boolean(vr.stratified),
+    racesPerGroup,
+    groups,
+    effectiveSamples: totalSamples,
+    // Plain-sampling variance / achieved variance (>1 means fewer races needed)
+    win: factor('win'),
+    place: factor('place'),
+    show: factor('show'),
+  };
+  return result;
+}
+
+// -----------------------
+// Exact solver (dynamic programming over the per-lane random walk)
+// -----------------------
+
+/**
+ * Distribution of a lane's speed for a single tick, matching simulateFullRace:
+ * base speed 1..10, scaled by scoreBps with probabilistic rounding, minimum 1.
+ *
+ * @param {number} bps - Lane handicap from scoreBps()
+ * @returns {Array<{speed: number, prob: number}>}
+ */
+function speedDistribution(bps) {
+  const probs = new Map();
+  const add = (speed, prob) => probs.set(speed, (probs.get(speed) || 0) + prob);
+
+  for (let baseSpeed = 1; baseSpeed <= SPEED_RANGE; baseSpeed++) {
+    const raw = baseSpeed * bps;
+    const q = Math.floor(raw / 10_000);
+    const rem = raw % 10_000;
+    const pUp = rem / 10_000;
+    if (pUp > 0) add(Math.max(q + 1, 1), pUp / SPEED_RANGE);
+    if (pUp < 1) add(Math.max(q, 1), (1 - pUp) / SPEED_RANGE);
+  }
+
+  return [...probs].map(([speed, prob]) => ({ speed, prob }));
+}
+
+/**
+ * Exact distribution of a lane's precise finish time (same encoding as simulateFullRace).
+ * Lanes that never cross within MAX_TICKS keep finish time -1, exactly like the simulator.
+ *
+ * @param {number} score - Clamped score (1-10)
+ * @returns {Map<number, number>} finishTime -> probability
+ */
+function finishTimeDistribution(score) {
+  const speeds = speedDistribution(scoreBps(score));
+  const finish = new Map();
+  let dist = new Float64Array(TRACK_LENGTH);
+  dist[0] = 1;
+  let lo = 0;
+  let hi = 0;
+
+  for (let t = 0; t < MAX_TICKS && lo <= hi; t++) {
+    const next = new Float64Array(TRACK_LENGTH);
+    let nextLo = TRACK_LENGTH;
+    let nextHi = -1;
+
+    for (let d = lo; d <= hi; d++) {
+      const mass = dist[d];
+      if (mass === 0) continue;
+      for (const { speed, prob } of speeds) {
+        const nd = d + speed;
+        if (nd >= TRACK_LENGTH) {
+          const fractional = Math.floor(((TRACK_LENGTH - d) * FINISH_TIME_PRECISION) / speed);
+          const time = t * FINISH_TIME_PRECISION + fractional;
+          finish.set(time, (finish.get(time) || 0) + mass * prob);
+        } else {
+          next[nd] += mass * prob;
+          if (nd < nextLo) nextLo = nd;
+          if (nd > nextHi) nextHi = nd;
+        }
+      }
+    }
+
+    dist = next;
+    lo = nextLo;
+    hi = nextHi;
+  }
+
+  // Mass still on the track after MAX_TICKS never crosses
+  let unfinished = 0;
+  for (let d = lo; d <= hi; d++) unfinished += dist[d];
+  if (unfinished > 0) finish.set(-1, (finish.get(-1) || 0) + unfinished);
+
+  return finish;
+}
+
+/**
+ * Credit a lane receives for `spots` qualifying positions when its dead-heat group
+ * starts at position `ahead` and has `groupSize` lanes. Equivalent to accumulateStats.
+ */
+function positionCredit(spots, ahead, groupSize) {
+  const remaining = spots - ahead;
+  if (remaining <= 0) return 0;
+  return groupSize <= remaining ? 1 : remaining / groupSize;
+}
+
+// -----------------------
+// Exported functions for bot integration
+// -----------------------
+
+/**
+ * Calculate Win/Place/Show probabilities for a race using Monte Carlo simulation.
+ *
+ * @param {number[]} scores - Array of 6 scores (1-10)
+ * @param {number} samples - Number of simulations to run (the maximum in adaptive mode)
+ * @param {number} [salt=0] - Optional salt for seed variety
+ * @param {Object} [options]
+ * @param {number} [options.z=1.96] - Z-score for the reported confidence intervals
+ * @param {Object} [options.adaptive] - Enable adaptive sampling
+ * @param {number} [options.adaptive.toleranceBps=25] - Stop once every lane's standard error is within this
+ * @param {number} [options.adaptive.batchSize=5000] - Samples per batch between precision checks
+ * @param {number} [options.adaptive.minSamples=batchSize] - Never stop on tolerance before this many samples
+ * @param {number} [options.adaptive.deadlineMs] - Wall-clock budget; stops after the batch that exceeds it
+ * @param {number} [options.deadlineMs] - Hard wall-clock limit for fixed budgets (with or without
+ *   variance reduction): the run is abandoned with a DEADLINE_EXCEEDED error once it passes
+ * @param {Object} [options.varianceReduction] - Variance reduction strategies (fixed budget only)
+ * @param {boolean} [options.varianceReduction.antithetic] - Pair each race with its mirrored-roll twin
+ * @param {boolean} [options.varianceReduction.commonRandomNumbers] - Rotate shared noise streams across lanes
+ * @param {boolean} [options.varianceReduction.stratified] - Latin-hypercube stratified base speed rolls
+ * @returns {{
+ *   scores: number[],
+ *   samples: number,
+ *   elapsedMs: number,
+ *   winProbBps: number[],
+ *   placeProbBps: number[],
+ *   showProbBps: number[],
+ *   lanes: Array<{lane: number, score: number, winProbBps: number, placeProbBps: number, showProbBps: number, winProb: number, placeProb: number, showProb: number, winCiBps: number[], placeCiBps: number[], showCiBps: number[]}>,
+ *   precision: { z: number, maxStdErrBps: number, maxCiHalfWidthBps: number, stopReason: string, batches: number, toleranceBps?: number, converged?: boolean },
+ *   varianceReduction?: { antithetic: boolean, commonRandomNumbers: boolean, stratified: boolean, racesPerGroup: number, groups: number, effectiveSamples: number, win: number, place: number, show: number }
+ * }}
+ * @throws {Error} DEADLINE_EXCEEDED when options.deadlineMs runs out
+ */
+export function calculateProbabilities(scores, samples, salt = 0, options = {}) {
+  validateInputs(scores, samples);
+
+  // Clamp scores
+  const clampedScores = scores.map(s => clampScore(s));
+  const seedState = createSeedState(clampedScores, salt);
+  const z = options.z ?? DEFAULT_CI_Z;
+
+  const vr = options.varianceReduction;
+  const useVarianceReduction = vr && (vr.antithetic || vr.commonRandomNumbers || vr.stratified);
+
+  if (options.adaptive) {
+    if (useVarianceReduction) {
+      throw new Error('adaptive sampling cannot be combined with variance reduction');
+    }
+    return runAdaptive(clampedScores, samples, seedState, z, options.adaptive);
+  }
+  const deadlineMs = options.deadlineMs ?? Infinity;
+  if (useVarianceReduction) {
+    return runVarianceReduced(clampedScores, samples, seedState, z, vr, deadlineMs);
+  }
+
+  // Chunks continue one seed stream, so checking the clock doesn't change the result
+  const started = Date.now();
+  const stats = createStats();
+  for (let done = 0; done < samples; done += DEADLINE_CHECK_SAMPLES) {
+    runSamples(seedState, Math.min(DEADLINE_CHECK_SAMPLES, samples - done), clampedScores, stats);
+    if (done + DEADLINE_CHECK_SAMPLES < samples && Date.now() - started >= deadlineMs) {
+      throw deadlineExceeded(deadlineMs);
+    }
+  }
+  const elapsedMs = Date.now() - started;
+
+  return attachPrecision(buildResult(clampedScores, samples, stats, elapsedMs), z, {
+    stopReason: 'fixed',
+    batches: 1,
+  });
+}
+
+/**
+ * Adaptive sampling: run batches until every lane's Win/Place/Show standard error is
+ * within `toleranceBps`, the wall-clock deadline passes, or `maxSamples` is reached.
+ * Batches continue one seed stream, so stopping after N samples gives exactly the
+ * estimate a fixed N-sample run would.
+ */
+function runAdaptive(clampedScores, maxSamples, seedState, z, adaptive) {
+  const toleranceBps = adaptive.toleranceBps ?? 25;
+  const batchSize = Math.max(1, Math.floor(adaptive.batchSize ?? 5000));
+  const minSamples = Math.min(maxSamples, Math.max(1, Math.floor(adaptive.minSamples ?? batchSize)));
+  const deadlineMs = adaptive.deadlineMs ?? Infinity;
+
+  const started = Date.now();
+  const stats = createStats();
+  let samples = 0;
+  let batches = 0;
+  let stopReason = 'max-samples';
+
+  while (samples < maxSamples) {
+    const count = Math.min(batchSize, maxSamples - samples);
+    runSamples(seedState, count, clampedScores, stats);
+    samples += count;
+    batches++;
+
+    if (samples >= minSamples && maxStdErrBps(stats, samples) <= toleranceBps) {
+      stopReason = 'tolerance';
+      break;
+    }
+    if (Date.now() - started >= deadlineMs) {
+      stopReason = 'deadline';
+      break;
+    }
+  }
+
+  const elapsedMs = Date.now() - started;
+  return attachPrecision(buildResult(clampedScores, samples, stats, elapsedMs), z, {
+    toleranceBps,
+    converged: maxStdErrBps(stats, samples) <= toleranceBps,
+    stopReason,
+    batches,
+  });
+}
+
+/**
+ * Default worker count: one per core, leaving one for the bot loop.
+ * @returns {number}
+ */
+export function defaultWorkerCount() {
+  return Math.max(1, availableParallelism() - 1);
+}
+
+function runWorker(seedX, count, clampedScores, running) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./monte-carlo-worker.js', import.meta.url), {
+      workerData: { seedX, count, scores: clampedScores },
+    });
+    running.push(worker);
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Monte Carlo worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Calculate Win/Place/Show probabilities with the sample budget split across worker threads.
+ *
+ * Each worker gets its own splitmix32 stream whose starting state is drawn, in worker
+ * order, from the same seed state `calculateProbabilities` uses. Credits are merged in
+ * worker order, so a given scores/samples/salt/workers combination always produces the
+ * same result. Results differ from the single-threaded path because the seed streams do.
+ *
+ * @param {number[]} scores - Array of 6 scores (1-10)
+ * @param {number} samples - Total number of simulations to run
+ * @param {number} [salt=0] - Optional salt for seed variety
+ * @param {Object} [options]
+ * @param {number} [options.workers] - Worker thread count (default: defaultWorkerCount())
+ * @param {number} [options.z=1.96] - Z-score for the reported confidence intervals
+ * @param {number} [options.deadlineMs] - Terminate the workers and reject with DEADLINE_EXCEEDED after this long
+ * @returns {Promise<Object>} Same shape as calculateProbabilities
+ */
+export async function calculateProbabilitiesParallel(scores, samples, salt = 0, options = {}) {
+  validateInputs(scores, samples);
+  const workers = Math.floor(options.workers ?? defaultWorkerCount());
+  if (!Number.isFinite(workers) || workers < 1) {
+    throw new Error('workers must be >= 1');
+  }
+
+  // Clamp scores
+  const clampedScores = scores.map(s => clampScore(s));
+  const seedState = createSeedState(clampedScores, salt);
+
+  // Split samples: first (samples % workers) workers take one extra
+  const workerCount = Math.min(workers, samples);
+  const baseCount = Math.floor(samples / workerCount);
+  const extra = samples % workerCount;
+  const jobs = [];
+  for (let w = 0; w < workerCount; w++) {
+    jobs.push({
+      seedX: splitmix32Next(seedState),
+      count: baseCount + (w < extra ? 1 : 0),
+    });
+  }
+
+  const started = Date.now();
+  const running = [];
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    if (Number.isFinite(options.deadlineMs)) {
+      timer = setTimeout(() => reject(deadlineExceeded(options.deadlineMs)), options.deadlineMs);
+    }
+  });
+  let partials;
+  try {
+    partials = await Promise.race([
+      Promise.all(jobs.map(j => runWorker(j.seedX, j.count, clampedScores, running))),
+      deadline,
+    ]);
+  } finally {
+    clearTimeout(timer);
+    // Workers still sampling after a deadline or a failed sibling
+    for (const worker of running) worker.terminate();
+  }
+  const elapsedMs = Date.now() - started;
+
+  // Merge credits in worker order
+  const stats = createStats();
+  for (const partial of partials) {
+    for (let lane = 0; lane < LANE_COUNT; lane++) {
+      stats[lane].winCredits += partial[lane].winCredits;
+      stats[lane].placeCredits += partial[lane].placeCredits;
+      stats[lane].showCredits += partial[lane].showCredits;
+    }
+  }
+
+  return attachPrecision(buildResult(clampedScores, samples, stats, elapsedMs), options.z ?? DEFAULT_CI_Z, {
+    stopReason: 'fixed',
+    batches: jobs.length,
+  });
+}
+
+/**
+ * Calculate Win/Place/Show probabilities exactly instead of sampling.
+ *
+ * Lanes move independently, so each lane's finish-time distribution is computed by
+ * dynamic programming over its distance, then Win/Place/Show credits are integrated
+ * over every finish time with the same dead-heat splitting as accumulateStats.
+ * Assumes ideal uniform rolls (FastRng's modulo bias is ignored).
+ *
+ * @param {number[]} scores - Array of 6 scores (1-10)
+ * @returns {Object} Same shape as calculateProbabilities, with `samples: 0` and `method: 'exact'`
+ */
+export function calculateProbabilitiesExact(scores) {
+  validateInputs(scores, 1);
+
+  // Clamp scores
+  const clampedScores = scores.map(s => clampScore(s));
+
+  const started = Date.now();
+
+  // Lanes with equal scores share a distribution
+  const byScore = new Map();
+  const laneDists = clampedScores.map((score) => {
+    if (!byScore.has(score)) byScore.set(score, finishTimeDistribution(score));
+    return byScore.get(score);
+  });
+
+  // Index every finish time that occurs in any lane
+  const times = [...new Set(laneDists.flatMap(d => [...d.keys()]))].sort((a, b) => a - b);
+  const timeIndex = new Map(times.map((time, i) => [time, i]));
+
+  // Per-lane pmf and P(finish strictly before times[i]) over the shared index
+  const pmf = laneDists.map((d) => {
+    const arr = new Float64Array(times.length);
+    for (const [time, prob] of d) arr[timeIndex.get(time)] = prob;
+    return arr;
+  });
+  const before = pmf.map((arr) => {
+    const cdf = new Float64Array(times.length);
+    let acc = 0;
+    for (let i = 0; i < times.length; i++) {
+      cdf[i] = acc;
+      acc += arr[i];
+    }
+    return cdf;
+  });
+
+  const stats = createStats();
+  const MAX_AHEAD = 3; // 3+ lanes ahead earns no credit in any pool
+
+  for (let lane = 0; lane < LANE_COUNT; lane++) {
+    const others = [];
+    for (let j = 0; j < LANE_COUNT; j++) if (j !== lane) others.push(j);
+
+    for (let i = 0; i < times.length; i++) {
+      const pSelf = pmf[lane][i];
+      if (pSelf === 0) continue;
+
+      // ways[ahead][tied]: probability that `ahead` other lanes finished earlier
+      // (capped at MAX_AHEAD) and `tied` finished at exactly this time
+      let ways = Array.from({ length: MAX_AHEAD + 1 }, () => new Float64Array(others.length + 1));
+      ways[0][0] = 1;
+      for (const j of others) {
+        const pLt = before[j][i];
+        const pEq = pmf[j][i];
+        const pGt = Math.max(0, 1 - pLt - pEq);
+        const next = Array.from({ length: MAX_AHEAD + 1 }, () => new Float64Array(others.length + 1));
+        for (let a = 0; a <= MAX_AHEAD; a++) {
+          for (let k = 0; k < others.length; k++) {
+            const w = ways[a][k];
+            if (w === 0) continue;
+            next[Math.min(a + 1, MAX_AHEAD)][k] += w * pLt;
+            next[a][k + 1] += w * pEq;
+            next[a][k] += w * pGt;
+          }
+        }
+        ways = next;
+      }
+
+      for (let a = 0; a < MAX_AHEAD; a++) {
+        for (let k = 0; k <= others.length; k++) {
+          const w = ways[a][k];
+          if (w === 0) continue;
+          const p = pSelf * w;
+          stats[lane].winCredits += p * positionCredit(1, a, k + 1);
+          stats[lane].placeCredits += p * positionCredit(2, a, k + 1);
+          stats[lane].showCredits += p * positionCredit(3, a, k + 1);
+        }
+      }
+    }
+  }
+
+  const elapsedMs = Date.now() - started;
+
+  return { ...buildResult(clampedScores, 1, stats, elapsedMs), samples: 0, method: 'exact' };
+}
+
 /**
  * Format probability results for logging output.
  *
@@ -498,7 +1195,14 @@ export function formatProbabilitiesForLog(result) {
   const showSum = result.lanes.reduce((a, r) => a + r.showProb, 0);
   lines.push(`    Sum checks: Win=${winSum.toFixed(4)} (≈1.00), Place=${placeSum.toFixed(4)} (≈2.00), Show=${showSum.toFixed(4)} (≈3.00)`);
 
+  // Rounded bps sums (enforced before submission by probability-validation.js)
+  const bpsCheck = (values, target) => {
+    const sum = values.reduce((a, v) => a + v, 0);
+    return `${sum}${sum === target ? ' ✓' : ` ✗ (target ${target})`}`;
+  };
+  lines.push(`    Bps sums:   Win=${bpsCheck(result.winProbBps, 10000)}, Place=${bpsCheck(result.placeProbBps, 20000)}, Show=${bpsCheck(result.showProbBps, 30000)}`);
+
   return lines.join('\n');
 }
 
-export default { calculateProbabilities, formatProbabilitiesForLog };
+export default { calculateProbabilities, calculateProbabilitiesParallel, calculateProbabilitiesExact, formatProbabilitiesForLog };
@@ -0,0 +1,84 @@
+/**
+ * Pre-flight simulation of bot transactions.
+ *
+ * Every write is run as an `eth_call` (staticCall) against the latest block before it is
+ * sent. A revert is decoded into the contract's custom error and mapped to a decision:
+ * skip the action until the dashboard changes, or wait a number of blocks and retry.
+ * A successful simulation is followed by `estimateGas`, and the estimate plus a safety
+ * margin becomes the gas limit of the real transaction. An RPC failure (no revert at all)
+ * is thrown, so the caller can run the check on another provider.
+ */
+
+import { decodeContractError } from './abi.js';
+
+export const PREFLIGHT_DECISION = {
+  PROCEED: 'proceed',
+  SKIP: 'skip',
+  WAIT: 'wait',
+};
+
+// Without a remaining-blocks figure, re-simulate this often instead of sitting out a whole window
+export const RECHECK_BLOCKS = 5;
+
+/**
+ * What to do when the simulation reverts with a given custom error.
+ * `blocks` is the longest the condition can last (a whole race window); when the caller
+ * has no better figure (the dashboard's blocksRemaining) the wait is capped at
+ * RECHECK_BLOCKS, since a simulation costs nothing to repeat.
+ */
+export const PREFLIGHT_POLICY = {
+  // Timing errors - the action becomes valid after some blocks
+  CooldownNotElapsed: { decision: PREFLIGHT_DECISION.WAIT, blocks: race => race.postRaceCooldownBlocks },
+  BettingNotClosed: { decision: PREFLIGHT_DECISION.WAIT, blocks: race => race.bettingWindowBlocks },
+  OddsWindowActive: { decision: PREFLIGHT_DECISION.WAIT, blocks: race => race.oddsWindowBlocks },
+  OddsWindowNotExpired: { decision: PREFLIGHT_DECISION.WAIT, blocks: race => race.oddsWindowBlocks },
+  // State errors - someone else already did it, or the dashboard will move on
+  OddsAlreadySet: { decision: PREFLIGHT_DECISION.SKIP },
+  OddsNotSet: { decision: PREFLIGHT_DECISION.SKIP },
+  OddsWindowExpired: { decision: PREFLIGHT_DECISION.SKIP },
+  AlreadySettled: { decision: PREFLIGHT_DECISION.SKIP },
+  AlreadyCancelled: { decision: PREFLIGHT_DECISION.SKIP },
+  PreviousRaceNotSettled: { decision: PREFLIGHT_DECISION.SKIP },
+  BettingClosed: { decision: PREFLIGHT_DECISION.SKIP },
+  InvalidRace: { decision: PREFLIGHT_DECISION.SKIP },
+  NotRaceBot: { decision: PREFLIGHT_DECISION.SKIP },
+};
+
+/**
+ * Simulate a contract call and estimate its gas.
+ *
+ * @param {import('ethers').BaseContractMethod} method - e.g. giraffeRace.createRace
+ * @param {Array} args - Call arguments
+ * @param {Object} options
+ * @param {Object} options.race - config.race (default wait lengths)
+ * @param {number} options.gasLimitMarginPercent - Added on top of the gas estimate
+ * @param {number} [options.blocksRemaining] - Dashboard blocksRemaining, preferred wait length
+ * @param {string|null} [options.rpc] - RPC URL in use (recorded on decoded errors)
+ * @returns {Promise<{ decision: string, gasEstimate?: bigint, gasLimit?: bigint, decodedError?: Object, waitBlocks?: number }>}
+ * @throws The RPC error when the call failed without reverting
+ */
+export async function preflight(method, args, { race, gasLimitMarginPercent, blocksRemaining = 0, rpc = null }) {
+  try {
+    await method.staticCall(...args, { blockTag: 'latest' });
+    const gasEstimate = await method.estimateGas(...args);
+    const gasLimit = (gasEstimate * BigInt(100 + gasLimitMarginPercent) + 99n) / 100n;
+    return { decision: PREFLIGHT_DECISION.PROCEED, gasEstimate, gasLimit };
+  } catch (error) {
+    const decodedError = decodeContractError(error, rpc);
+    if (decodedError.data === null && error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    const policy = decodedError.name ? PREFLIGHT_POLICY[decodedError.name] : null;
+    // Unknown reverts: don't pay for a transaction that would likely fail
+    if (!policy) {
+      return { decision: PREFLIGHT_DECISION.SKIP, decodedError };
+    }
+    if (policy.decision === PREFLIGHT_DECISION.WAIT) {
+      const waitBlocks = blocksRemaining > 0 ? Number(blocksRemaining) : Math.min(policy.blocks(race), RECHECK_BLOCKS);
+      return { decision: PREFLIGHT_DECISION.WAIT, decodedError, waitBlocks };
+    }
+    return { decision: policy.decision, decodedError };
+  }
+}
+
+export default preflight;
@@ -0,0 +1,235 @@
+/**
+ * Validation and normalization of Win/Place/Show probabilities before setProbabilities.
+ *
+ * Independent rounding in the calculators (Math.round per lane) means the bps columns
+ * can miss their totals by a few bps, and a long shot can round to 0. This module
+ * turns raw probabilities into arrays that satisfy the contract rules:
+ *
+ *   - Sum targets: Win = 10000, Place = 20000, Show = 30000
+ *   - Per-lane bounds: minBps <= value <= maxBps (and within uint16)
+ *   - Monotonicity per lane: win <= place <= show
+ *
+ * Rounding uses the largest-remainder method, so each column hits its target exactly
+ * while every lane moves by less than 1 bps from its scaled value. Any repair beyond
+ * `maxAdjustmentBps` is refused rather than submitted.
+ */
+
+const UINT16_MAX = 65_535;
+
+export const POOLS = [
+  { name: 'win', target: 10_000, probKey: 'winProb', bpsKey: 'winProbBps' },
+  { name: 'place', target: 20_000, probKey: 'placeProb', bpsKey: 'placeProbBps' },
+  { name: 'show', target: 30_000, probKey: 'showProb', bpsKey: 'showProbBps' },
+];
+
+// -----------------------
+// Column normalization
+// -----------------------
+
+/**
+ * Scale a column to `target`, clamp to [minBps, maxBps] redistributing the excess
+ * proportionally among unclamped lanes, then round with largest remainder.
+ *
+ * @returns {{ values: number[] | null, error: string | null }}
+ */
+function normalizeColumn(probs, target, minBps, maxBps) {
+  const n = probs.length;
+  if (probs.some(p => !Number.isFinite(p) || p < 0)) {
+    return { values: null, error: 'non-finite or negative probability' };
+  }
+  const total = probs.reduce((a, p) => a + p, 0);
+  if (total <= 0) {
+    return { values: null, error: 'probabilities sum to 0' };
+  }
+  if (n * minBps > target || n * maxBps < target) {
+    return { values: null, error: `bounds [${minBps}, ${maxBps}] cannot reach sum ${target}` };
+  }
+
+  // Scale to target, then clamp with proportional redistribution
+  const scaled = probs.map(p => (p / total) * target);
+  const fixed = new Array(n).fill(false);
+  for (let iter = 0; iter < n; iter++) {
+    let changed = false;
+    for (let i = 0; i < n; i++) {
+      if (fixed[i]) continue;
+      if (scaled[i] < minBps) { scaled[i] = minBps; fixed[i] = true; changed = true; }
+      else if (scaled[i] > maxBps) { scaled[i] = maxBps; fixed[i] = true; changed = true; }
+    }
+    if (!changed) break;
+
+    const fixedSum = scaled.reduce((a, v, i) => a + (fixed[i] ? v : 0), 0);
+    const freeSum = scaled.reduce((a, v, i) => a + (fixed[i] ? 0 : v), 0);
+    const freeTarget = target - fixedSum;
+    for (let i = 0; i < n; i++) {
+      if (fixed[i]) continue;
+      scaled[i] = freeSum > 0 ? (scaled[i] / freeSum) * freeTarget : freeTarget / fixed.filter(f => !f).length;
+    }
+  }
+
+  // Largest remainder rounding
+  const values = scaled.map(v => Math.floor(v));
+  let remaining = target - values.reduce((a, v) => a + v, 0);
+  const order = scaled
+    .map((v, i) => ({ i, frac: v - Math.floor(v) }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  for (const { i } of order) {
+    if (remaining <= 0) break;
+    if (values[i] >= maxBps) continue;
+    values[i] += 1;
+    remaining -= 1;
+  }
+  if (remaining !== 0) {
+    return { values: null, error: `could not distribute ${remaining} bps within bounds` };
+  }
+
+  return { values, error: null };
+}
+
+// -----------------------
+// Monotonicity repair (win <= place <= show)
+// -----------------------
+
+/**
+ * Raise `upper[lane]` to at least `lower[lane]` for every lane, taking the bps from the
+ * lanes with the most slack so the column total is unchanged.
+ *
+ * @returns {boolean} true if repaired (or nothing to do)
+ */
+function repairMonotonic(lower, upper, minBps) {
+  const n = upper.length;
+  for (let lane = 0; lane < n; lane++) {
+    let deficit = lower[lane] - upper[lane];
+    while (deficit > 0) {
+      let donor = -1;
+      let bestSlack = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === lane) continue;
+        const slack = upper[j] - Math.max(lower[j], minBps);
+        if (slack > bestSlack) {
+          bestSlack = slack;
+          donor = j;
+        }
+      }
+      if (donor === -1) return false;
+      upper[donor] -= 1;
+      upper[lane] += 1;
+      deficit -= 1;
+    }
+  }
+  return true;
+}
+
+// -----------------------
+// Public API
+// -----------------------
+
+/**
+ * Normalize and validate a probability result before submitting it on-chain.
+ *
+ * @param {Object} result - Result from calculateProbabilities / calculateProbabilitiesExact
+ * @param {Object} [rules]
+ * @param {number} [rules.minBps=1] - Per-lane floor (a 0 bps lane has undefined odds)
+ * @param {number} [rules.maxBps=10000] - Per-lane ceiling
+ * @param {number} [rules.maxAdjustmentBps=25] - Largest allowed change from the raw value
+ * @returns {{
+ *   ok: boolean,
+ *   adjusted: boolean,
+ *   winProbBps: number[] | null,
+ *   placeProbBps: number[] | null,
+ *   showProbBps: number[] | null,
+ *   violations: string[],
+ *   diffs: Array<{ pool: string, lane: number, rawBps: number, roundedBps: number, submittedBps: number | null }>
+ * }}
+ */
+export function normalizeProbabilities(result, rules = {}) {
+  const minBps = rules.minBps ?? 1;
+  const maxBps = Math.min(rules.maxBps ?? 10_000, UINT16_MAX);
+  const maxAdjustmentBps = rules.maxAdjustmentBps ?? 25;
+  const violations = [];
+
+  const columns = {};
+  for (const pool of POOLS) {
+    const probs = result.lanes.map(l => l[pool.probKey]);
+    const { values, error } = normalizeColumn(probs, pool.target, minBps, maxBps);
+    if (error) violations.push(`${pool.name}: ${error}`);
+    columns[pool.name] = values;
+  }
+
+  if (violations.length === 0) {
+    if (!repairMonotonic(columns.win, columns.place, minBps)) {
+      violations.push('place: cannot satisfy win <= place without breaking another lane');
+    }
+    if (!repairMonotonic(columns.place, columns.show, minBps)) {
+      violations.push('show: cannot satisfy place <= show without breaking another lane');
+    }
+  }
+
+  // Final enforcement of every rule, plus the adjustment budget
+  const diffs = [];
+  for (const pool of POOLS) {
+    const values = columns[pool.name];
+    result.lanes.forEach((lane, i) => {
+      diffs.push({
+        pool: pool.name,
+        lane: lane.lane,
+        rawBps: lane[pool.probKey] * 10_000,
+        roundedBps: lane[pool.bpsKey],
+        submittedBps: values ? values[i] : null,
+      });
+    });
+    if (!values) continue;
+
+    const sum = values.reduce((a, v) => a + v, 0);
+    if (sum !== pool.target) violations.push(`${pool.name}: sum ${sum} != ${pool.target}`);
+    values.forEach((v, i) => {
+      if (!Number.isInteger(v) || v < 0 || v > UINT16_MAX) violations.push(`${pool.name}[${i}]: ${v} is not a uint16`);
+      else if (v < minBps || v > maxBps) violations.push(`${pool.name}[${i}]: ${v} outside [${minBps}, ${maxBps}]`);
+    });
+  }
+  if (columns.win && columns.place && columns.show) {
+    for (let i = 0; i < result.lanes.length; i++) {
+      if (!(columns.win[i] <= columns.place[i] && columns.place[i] <= columns.show[i])) {
+        violations.push(`lane ${i}: win ${columns.win[i]} <= place ${columns.place[i]} <= show ${columns.show[i]} violated`);
+      }
+    }
+  }
+  for (const d of diffs) {
+    if (d.submittedBps !== null && Math.abs(d.submittedBps - d.rawBps) > maxAdjustmentBps) {
+      violations.push(`${d.pool}[${d.lane}]: adjusted ${d.rawBps.toFixed(1)} -> ${d.submittedBps} (> ${maxAdjustmentBps} bps)`);
+    }
+  }
+
+  const ok = violations.length === 0;
+  return {
+    ok,
+    adjusted: diffs.some(d => d.submittedBps !== d.roundedBps),
+    winProbBps: ok ? columns.win : null,
+    placeProbBps: ok ? columns.place : null,
+    showProbBps: ok ? columns.show : null,
+    violations,
+    diffs,
+  };
+}
+
+/**
+ * Format the lanes whose submitted bps differ from the naive rounding (or every lane
+ * when `all` is set) for logging.
+ *
+ * @param {Object} report - Result from normalizeProbabilities
+ * @param {boolean} [all=false]
+ * @returns {string}
+ */
+export function formatProbabilityDiff(report, all = false) {
+  const lines = [];
+  const rows = all ? report.diffs : report.diffs.filter(d => d.submittedBps !== d.roundedBps);
+  for (const d of rows) {
+    const submitted = d.submittedBps === null ? '   -' : d.submittedBps.toString().padStart(5);
+    lines.push(`    ${d.pool.padEnd(5)} lane ${d.lane}: raw ${d.rawBps.toFixed(2).padStart(9)} | rounded ${d.roundedBps.toString().padStart(5)} | submitted ${submitted}`);
+  }
+  for (const v of report.violations) {
+    lines.push(`    ✗ ${v}`);
+  }
+  return lines.join('\n');
+}
+
+export default { normalizeProbabilities, formatProbabilityDiff };
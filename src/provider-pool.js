@@ -0,0 +1,248 @@
+/**
+ * Health-scored pool of RPC providers.
+ *
+ * Every call made through the pool updates the provider's latency and error rate
+ * (exponential moving averages), and every block number it sees updates its height.
+ * A provider more than `maxBlockLag` blocks behind the highest height seen across the
+ * pool is treated as stuck. Reads go to the best-scoring provider and fall through the
+ * rest in score order; writes stay on a preferred provider while it is healthy and move
+ * on to the next provider in score order when a send fails there.
+ */
+
+import { ethers } from 'ethers';
+
+// Moving-average weights of the newest sample
+const LATENCY_SMOOTHING = 0.3;
+const ERROR_SMOOTHING = 0.2;
+// Latency assumed for providers that have not answered yet
+const UNKNOWN_LATENCY_MS = 1000;
+// Score penalties (ms-equivalent)
+const LAG_PENALTY_MS = 500;
+const STUCK_PENALTY_MS = 1_000_000;
+// Error rate above which a preferred write provider is abandoned
+const UNHEALTHY_ERROR_RATE = 0.5;
+// Send errors that are the node's verdict on the transaction: any other node would agree
+const TX_REJECTIONS = new Set(['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'INSUFFICIENT_FUNDS', 'CALL_EXCEPTION', 'TRANSACTION_REPLACED', 'INVALID_ARGUMENT']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class ProviderPool {
+  /**
+   * @param {string[]} urls - RPC URLs (config.fallbackRpcs)
+   * @param {Object} options
+   * @param {number} options.chainId
+   * @param {number} options.maxBlockLag - Blocks behind the pool's highest height before "stuck"
+   * @param {string|null} [options.writeRpc] - Preferred provider for writes (default: first URL)
+   * @param {number} [options.attemptsPerProvider=2]
+   * @param {number} [options.retryDelayMs=1000]
+   */
+  constructor(urls, { chainId, maxBlockLag, writeRpc = null, attemptsPerProvider = 2, retryDelayMs = 1000 }) {
+    const allUrls = writeRpc && !urls.includes(writeRpc) ? [writeRpc, ...urls] : urls;
+    this.entries = allUrls.map(url => ({
+      url,
+      provider: new ethers.JsonRpcProvider(url, { name: 'base', chainId }),
+      latencyMs: null,
+      errorRate: 0,
+      calls: 0,
+      failures: 0,
+      blockNumber: null,
+      lastError: null,
+    }));
+    this.maxBlockLag = maxBlockLag;
+    this.writeUrl = writeRpc || allUrls[0];
+    this.attemptsPerProvider = attemptsPerProvider;
+    this.retryDelayMs = retryDelayMs;
+    this.highestBlock = 0;
+  }
+
+  // -----------------------
+  // Health bookkeeping
+  // -----------------------
+
+  recordSuccess(entry, latencyMs) {
+    entry.calls++;
+    entry.latencyMs = entry.latencyMs === null
+      ? latencyMs
+      : entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING;
+    entry.errorRate *= 1 - ERROR_SMOOTHING;
+  }
+
+  recordFailure(entry, error) {
+    entry.calls++;
+    entry.failures++;
+    entry.errorRate = entry.errorRate * (1 - ERROR_SMOOTHING) + ERROR_SMOOTHING;
+    entry.lastError = error.shortMessage || error.message;
+  }
+
+  recordBlock(entry, blockNumber) {
+    entry.blockNumber = blockNumber;
+    if (blockNumber > this.highestBlock) this.highestBlock = blockNumber;
+  }
+
+  lag(entry) {
+    return entry.blockNumber === null ? null : this.highestBlock - entry.blockNumber;
+  }
+
+  isStuck(entry) {
+    const lag = this.lag(entry);
+    return lag !== null && lag > this.maxBlockLag;
+  }
+
+  /** Lower is better. */
+  score(entry) {
+    const latency = entry.latencyMs ?? UNKNOWN_LATENCY_MS;
+    return latency * (1 + 4 * entry.errorRate)
+      + (this.lag(entry) ?? 0) * LAG_PENALTY_MS
+      + (this.isStuck(entry) ? STUCK_PENALTY_MS : 0);
+  }
+
+  ranked() {
+    return [...this.entries].sort((a, b) => this.score(a) - this.score(b));
+  }
+
+  // -----------------------
+  // Routing
+  // -----------------------
+
+  /** Healthiest provider for reads. */
+  best() {
+    return this.ranked()[0];
+  }
+
+  /** Preferred write provider while healthy, otherwise the healthiest one. */
+  writeEntry() {
+    const preferred = this.entries.find(entry => entry.url === this.writeUrl);
+    if (preferred && !this.isStuck(preferred) && preferred.errorRate < UNHEALTHY_ERROR_RATE) {
+      return preferred;
+    }
+    return this.best();
+  }
+
+  /**
+   * Run one call on a specific provider, recording its latency or failure. A thrown error
+   * carries the provider's URL as `error.rpc`, so it is attributed to the RPC that raised it.
+   * @template T
+   * @param {Object} entry - Pool entry
+   * @param {(provider: ethers.JsonRpcProvider, url: string) => Promise<T>} fn
+   * @param {(error: Error) => boolean} [isProviderError] - false for errors that say nothing about the provider
+   * @returns {Promise<T>}
+   */
+  async call(entry, fn, isProviderError = () => true) {
+    const startedAt = Date.now();
+    try {
+      const result = await fn(entry.provider, entry.url);
+      this.recordSuccess(entry, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isProviderError(error)) this.recordFailure(entry, error);
+      else this.recordSuccess(entry, Date.now() - startedAt);
+      if (error instanceof Error) error.rpc ??= entry.url;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a read against providers in health order until one succeeds.
+   * @template T
+   * @param {(provider: ethers.JsonRpcProvider, url: string) => Promise<T>} fn
+   * @param {(entry: Object, attempt: number) => void} [onRetry] - Called before each retry
+   * @returns {Promise<T>}
+   */
+  async read(fn, onRetry = null) {
+    let lastError;
+    let attempt = 0;
+    for (const entry of this.ranked()) {
+      for (let i = 0; i < this.attemptsPerProvider; i++) {
+        if (attempt > 0) {
+          onRetry?.(entry, attempt);
+          await sleep(this.retryDelayMs);
+        }
+        attempt++;
+        try {
+          return await this.call(entry, fn);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a transaction through the write provider, then the others in health order if it
+   * fails there. A rejection of the transaction itself (nonce too low, underpriced, revert,
+   * insufficient funds) is thrown straight away and not held against the provider.
+   * @template T
+   * @param {(provider: ethers.JsonRpcProvider, url: string) => Promise<T>} fn
+   * @param {(entry: Object, error: Error) => void} [onFallback] - Called before trying the next provider
+   * @returns {Promise<T>}
+   */
+  async write(fn, onFallback = null) {
+    const preferred = this.writeEntry();
+    const order = [preferred, ...this.ranked().filter(entry => entry !== preferred)];
+    let lastError;
+    for (const entry of order) {
+      if (lastError) onFallback?.(entry, lastError);
+      try {
+        return await this.call(entry, fn, error => !TX_REJECTIONS.has(error.code));
+      } catch (error) {
+        if (TX_REJECTIONS.has(error.code)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /** Block number from the healthiest provider, recording its height. */
+  async getBlockNumber() {
+    return this.read(async (provider, url) => {
+      const blockNumber = await provider.getBlockNumber();
+      this.recordBlock(this.entries.find(entry => entry.url === url), blockNumber);
+      return blockNumber;
+    });
+  }
+
+  /** Query every provider's height and latency (detects stuck or dead providers). */
+  async probeAll() {
+    await Promise.all(this.entries.map(async entry => {
+      try {
+        this.recordBlock(entry, await this.call(entry, provider => provider.getBlockNumber()));
+      } catch {
+        // Recorded as a failure by call()
+      }
+    }));
+  }
+
+  // -----------------------
+  // Reporting
+  // -----------------------
+
+  snapshot() {
+    return this.ranked().map(entry => ({
+      url: entry.url,
+      latencyMs: entry.latencyMs === null ? null : Math.round(entry.latencyMs),
+      errorRate: Math.round(entry.errorRate * 1000) / 1000,
+      calls: entry.calls,
+      failures: entry.failures,
+      blockNumber: entry.blockNumber,
+      lag: this.lag(entry),
+      stuck: this.isStuck(entry),
+      write: entry.url === this.writeEntry().url,
+      lastError: entry.lastError,
+    }));
+  }
+
+  formatHealth() {
+    const lines = this.snapshot().map(p => {
+      const latency = p.latencyMs === null ? '   -  ' : `${String(p.latencyMs).padStart(4)}ms`;
+      const lag = p.lag === null ? '?' : p.lag;
+      const flags = [p.write ? 'write' : null, p.stuck ? 'STUCK' : null].filter(Boolean).join(', ');
+      return `   ${latency} | err ${(p.errorRate * 100).toFixed(0).padStart(3)}% | lag ${String(lag).padStart(3)} | ${p.url}${flags ? ` (${flags})` : ''}`;
+    });
+    return lines.join('\n');
+  }
+}
+
+export default ProviderPool;
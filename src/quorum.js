@@ -0,0 +1,73 @@
+/**
+ * Quorum reads across the RPC pool.
+ *
+ * The same view call is made on several healthy providers, all pinned to one block
+ * number (the lowest head among them, so every provider can serve it). Answers are
+ * grouped by a key; the read only counts when at least `minAgree` providers returned
+ * the same key. This guards against a single lagging or misbehaving RPC steering the bot.
+ */
+
+/**
+ * @template T
+ * @param {import('./provider-pool.js').ProviderPool} pool
+ * @param {(provider: import('ethers').JsonRpcProvider, url: string, blockTag: number) => Promise<T>} read
+ * @param {Object} options
+ * @param {number} options.size - Providers to ask (healthiest first, stuck ones excluded)
+ * @param {number} options.minAgree - Matching answers required
+ * @param {(value: T) => string} options.key - What has to match between answers
+ * @returns {Promise<{ ok: boolean, value: T|null, block: number|null, agreeing: number, answers: Object[] }>}
+ *   `answers` holds { url, key, value } or { url, error } per provider asked
+ */
+export async function quorumRead(pool, read, { size, minAgree, key }) {
+  const participants = pool.ranked().filter(entry => !pool.isStuck(entry)).slice(0, size);
+
+  // Pin to the lowest head among participants
+  const heads = await Promise.all(participants.map(async entry => {
+    try {
+      const blockNumber = await pool.call(entry, provider => provider.getBlockNumber());
+      pool.recordBlock(entry, blockNumber);
+      return { entry, blockNumber };
+    } catch (error) {
+      return { entry, error: error.shortMessage || error.message };
+    }
+  }));
+  const live = heads.filter(head => head.error === undefined);
+  if (live.length < minAgree) {
+    return {
+      ok: false,
+      value: null,
+      block: null,
+      agreeing: 0,
+      answers: heads.map(head => ({ url: head.entry.url, error: head.error ?? 'not asked' })),
+    };
+  }
+  const block = Math.min(...live.map(head => head.blockNumber));
+
+  const answers = await Promise.all(heads.map(async head => {
+    if (head.error !== undefined) return { url: head.entry.url, error: head.error };
+    try {
+      const value = await pool.call(head.entry, (provider, url) => read(provider, url, block));
+      return { url: head.entry.url, key: key(value), value };
+    } catch (error) {
+      return { url: head.entry.url, error: error.shortMessage || error.message };
+    }
+  }));
+
+  const groups = new Map();
+  for (const answer of answers) {
+    if (answer.error !== undefined) continue;
+    if (!groups.has(answer.key)) groups.set(answer.key, []);
+    groups.get(answer.key).push(answer);
+  }
+  const majority = [...groups.values()].sort((a, b) => b.length - a.length)[0] ?? [];
+
+  return {
+    ok: majority.length >= minAgree,
+    value: majority.length >= minAgree ? majority[0].value : null,
+    block,
+    agreeing: majority.length,
+    answers,
+  };
+}
+
+export default quorumRead;
@@ -0,0 +1,21 @@
+/**
+ * GiraffeRace contract constants - the single source of truth for the simulator
+ * (monte-carlo.js) and the bot's block arithmetic (config.race).
+ *
+ * These mirror the deployed contract and are deliberately not configurable: odds priced
+ * with a different track length or speed range would not match on-chain races.
+ */
+
+export const RACE = Object.freeze({
+  laneCount: 6,
+  // Per-tick speed roll is drawn from 0..speedRange-1, then scaled by the score
+  speedRange: 10,
+  trackLength: 1000,
+  maxTicks: 500,
+  // Race window lengths (in blocks)
+  oddsWindowBlocks: 10,
+  bettingWindowBlocks: 30,
+  postRaceCooldownBlocks: 30,
+});
+
+export default RACE;
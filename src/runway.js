@@ -0,0 +1,73 @@
+/**
+ * ETH cost accounting and wallet runway forecasting.
+ *
+ * On Base a transaction pays the L2 execution fee (gasUsed * effectiveGasPrice) plus an
+ * L1 data fee that ethers' receipt object does not expose; the raw receipt from the
+ * node carries it as `l1Fee`. The runway estimate divides the wallet balance by the
+ * average ETH cost of recent races and the recent race cadence.
+ */
+
+// Races used for the average cost and cadence
+const RUNWAY_WINDOW_RACES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the OP-stack L1 data fee for a transaction from the raw receipt.
+ * Returns 0n on chains without one (e.g. a local Anvil/Hardhat node).
+ *
+ * @param {import('ethers').JsonRpcProvider} provider
+ * @param {string} txHash
+ * @returns {Promise<bigint>}
+ */
+export async function fetchL1Fee(provider, txHash) {
+  const raw = await provider.send('eth_getTransactionReceipt', [txHash]);
+  return raw?.l1Fee ? BigInt(raw.l1Fee) : 0n;
+}
+
+/**
+ * Estimate how many races and days the balance covers.
+ *
+ * @param {Object[]} entries - Race ledger entries
+ * @param {bigint} balanceWei - Current wallet balance
+ * @returns {{ pricedRaces: number, avgCostPerRaceWei: bigint | null, racesRemaining: number | null, racesPerDay: number | null, daysRemaining: number | null }}
+ */
+export function estimateRunway(entries, balanceWei) {
+  // Per-race cost, only for races whose every transaction has a known cost. A race with
+  // nothing but its createRace yet (odds and settlement still to come) would drag the
+  // average down, so it isn't counted either.
+  const races = new Map();
+  for (const entry of entries) {
+    if (entry.type !== 'tx' || entry.raceId === null || entry.raceId === undefined) continue;
+    const key = entry.raceId.toString();
+    if (!races.has(key)) races.set(key, { costWei: 0n, priced: true, createdAt: null, onlyCreated: true });
+    const race = races.get(key);
+    if (entry.costWei === null || entry.costWei === undefined) race.priced = false;
+    else race.costWei += BigInt(entry.costWei);
+    if (entry.action === 'createRace') race.createdAt = Date.parse(entry.ts);
+    else race.onlyCreated = false;
+  }
+
+  const recent = [...races.values()].filter(r => r.priced && !r.onlyCreated).slice(-RUNWAY_WINDOW_RACES);
+  const avgCostPerRaceWei = recent.length > 0
+    ? recent.reduce((a, r) => a + r.costWei, 0n) / BigInt(recent.length)
+    : null;
+  const racesRemaining = avgCostPerRaceWei && avgCostPerRaceWei > 0n
+    ? Number(balanceWei / avgCostPerRaceWei)
+    : null;
+
+  // Cadence from the spread of recent createRace timestamps
+  const created = [...races.values()]
+    .map(r => r.createdAt)
+    .filter(t => Number.isFinite(t))
+    .slice(-RUNWAY_WINDOW_RACES);
+  let racesPerDay = null;
+  if (created.length >= 2) {
+    const spanMs = created[created.length - 1] - created[0];
+    if (spanMs > 0) racesPerDay = ((created.length - 1) / spanMs) * DAY_MS;
+  }
+  const daysRemaining = racesRemaining !== null && racesPerDay ? racesRemaining / racesPerDay : null;
+
+  return { pricedRaces: recent.length, avgCostPerRaceWei, racesRemaining, racesPerDay, daysRemaining };
+}
+
+export default { fetchL1Fee, estimateRunway };
@@ -0,0 +1,289 @@
+/**
+ * Race scheduling policy: may the bot create a new race right now?
+ *
+ * A policy is a list of strategies that must all allow it:
+ *   - always:    no restriction (also what an empty list means)
+ *   - presence:  at least minUsers on the site according to the presence API. An API that
+ *                can't be reached is reported as down rather than as zero users, and
+ *                onError decides whether races are still created ('create') or held ('wait')
+ *   - window:    hours of operation such as "Mon-Fri 09:00-17:00" in a given time zone
+ *   - rateLimit: at most maxPerHour / maxPerDay races, counted over sliding windows
+ *
+ * Only race creation is gated. Odds, settlement, cancellation and cleanup of races that
+ * already exist go ahead regardless.
+ */
+
+export const SCHEDULE_STRATEGIES = ['always', 'presence', 'window', 'rateLimit'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Cheap local checks first, the presence API (a network call) last
+const CHECK_ORDER = ['always', 'window', 'rateLimit', 'presence'];
+
+// -----------------------
+// Strategies
+// -----------------------
+
+export function alwaysStrategy() {
+  return {
+    name: 'always',
+    description: 'always on',
+    check: async () => ({ allow: true }),
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - Presence API returning { activeUsers }
+ * @param {number} [options.minUsers=1]
+ * @param {'wait'|'create'} [options.onError='wait'] - What an unreachable API means
+ * @param {number} [options.timeoutMs=10000]
+ */
+export function presenceStrategy({ url, minUsers = 1, onError = 'wait', timeoutMs = 10000 }) {
+  return {
+    name: 'presence',
+    description: `presence (${minUsers}+ user${minUsers === 1 ? '' : 's'} via ${url}; API down: ${onError})`,
+    async check() {
+      let activeUsers;
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        activeUsers = Number(data?.activeUsers);
+        if (!Number.isFinite(activeUsers)) {
+          throw new Error('no activeUsers count in the response');
+        }
+      } catch (error) {
+        return {
+          allow: onError === 'create',
+          apiDown: true,
+          reason: `presence API unavailable (${error.message})`,
+        };
+      }
+      return activeUsers >= minUsers
+        ? { allow: true, activeUsers, reason: `${activeUsers} active user(s)` }
+        : { allow: false, activeUsers, reason: `${activeUsers} active user(s), need ${minUsers}` };
+    },
+  };
+}
+
+// "Mon", "monday", "Tues"...
+function parseDay(text) {
+  const lower = text.toLowerCase();
+  const day = DAY_NAMES.findIndex(name => lower.length >= 3 && name.startsWith(lower));
+  if (day === -1) throw new Error(`unknown day "${text}"`);
+  return day;
+}
+
+function parseTime(hours, minutes) {
+  const value = Number(hours) * 60 + Number(minutes);
+  if (Number(minutes) > 59 || value > 24 * 60) throw new Error(`invalid time ${hours}:${minutes}`);
+  return value;
+}
+
+/**
+ * Parse hours of operation. Each window is "[days] HH:MM-HH:MM": days as names or ranges
+ * ("Mon-Fri", "Sat,Sun", "Fri-Mon"; omitted or "*" = every day), end "24:00" allowed, and
+ * an end before the start runs past midnight into the next day.
+ *
+ * @param {string[]} specs - e.g. ["Mon-Fri 09:00-17:00", "Sat,Sun 12:00-02:00"]
+ * @returns {Array<{ spec: string, days: Set<number>, start: number, end: number }>} Minutes after midnight
+ * @throws {Error} On a malformed window
+ */
+export function parseWindows(specs) {
+  return specs.map(spec => {
+    const match = spec.trim().match(/^(?:(\S+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) throw new Error(`"${spec}" is not "[days] HH:MM-HH:MM"`);
+    const [, dayList, startHours, startMinutes, endHours, endMinutes] = match;
+    try {
+      const days = new Set();
+      for (const item of (!dayList || dayList === '*' ? 'Sun-Sat' : dayList).split(',')) {
+        const [from, to = from] = item.split('-').map(parseDay);
+        for (let day = from; ; day = (day + 1) % 7) {
+          days.add(day);
+          if (day === to) break;
+        }
+      }
+      const start = parseTime(startHours, startMinutes);
+      const end = parseTime(endHours, endMinutes);
+      if (start === end) throw new Error('start and end are the same');
+      return { spec, days, start, end };
+    } catch (error) {
+      throw new Error(`"${spec}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.windows - See parseWindows
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the windows are written in
+ */
+export function windowStrategy({ windows, timeZone = 'UTC' }) {
+  const parsed = parseWindows(windows);
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  let opensAt = null;
+
+  function isOpen(time) {
+    const parts = Object.fromEntries(format.formatToParts(time).map(part => [part.type, part.value]));
+    const day = DAYS.indexOf(parts.weekday.toLowerCase());
+    const minute = Number(parts.hour) * 60 + Number(parts.minute);
+    return parsed.some(window => (window.end > window.start
+      ? window.days.has(day) && minute >= window.start && minute < window.end
+      : (window.days.has(day) && minute >= window.start) || (window.days.has((day + 6) % 7) && minute < window.end)));
+  }
+
+  // Next opening, minute by minute (windows have minute resolution in every time zone)
+  function nextOpening(now) {
+    for (let time = Math.ceil((now + 1) / 60000) * 60000; time < now + 8 * DAY_MS; time += 60000) {
+      if (isOpen(time)) return time;
+    }
+    return null;
+  }
+
+  return {
+    name: 'window',
+    description: `window (${windows.join('; ')} ${timeZone})`,
+    async check(now) {
+      if (isOpen(now)) {
+        opensAt = null;
+        return { allow: true };
+      }
+      if (opensAt === null || opensAt <= now) opensAt = nextOpening(now);
+      return {
+        allow: false,
+        reason: `outside hours of operation${opensAt ? ` - opens ${new Date(opensAt).toISOString()}` : ''}`,
+        retryMs: opensAt ? opensAt - now : null,
+      };
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {number} [options.maxPerHour=0] - 0 = no hourly limit
+ * @param {number} [options.maxPerDay=0] - 0 = no daily limit
+ * @param {number[]} [options.createdAt=[]] - Creation times (ms) of earlier races, e.g. from the ledger
+ */
+export function rateLimitStrategy({ maxPerHour = 0, maxPerDay = 0, createdAt = [] }) {
+  let times = [...createdAt];
+  const limits = [[maxPerHour, HOUR_MS, 'hour'], [maxPerDay, DAY_MS, 'day']].filter(([limit]) => limit > 0);
+  return {
+    name: 'rateLimit',
+    description: `rate limit (${limits.map(([limit, , period]) => `${limit}/${period}`).join(', ')})`,
+    recordRace(time) {
+      times.push(time);
+    },
+    async check(now) {
+      times = times.filter(time => now - time < DAY_MS).sort((a, b) => a - b);
+      for (const [limit, periodMs, period] of limits) {
+        const recent = times.filter(time => now - time < periodMs);
+        if (recent.length >= limit) {
+          // Free again once enough of the oldest races leave the window
+          return {
+            allow: false,
+            reason: `${recent.length} race(s) created in the last ${period} (max ${limit})`,
+            retryMs: recent[recent.length - limit] + periodMs - now,
+          };
+        }
+      }
+      return { allow: true };
+    },
+  };
+}
+
+// -----------------------
+// Policy
+// -----------------------
+
+export class SchedulePolicy {
+  /**
+   * @param {Object[]} strategies - From the *Strategy factories; all must allow a race
+   */
+  constructor(strategies) {
+    this.strategies = strategies.length > 0 ? [...strategies] : [alwaysStrategy()];
+    this.strategies.sort((a, b) => CHECK_ORDER.indexOf(a.name) - CHECK_ORDER.indexOf(b.name));
+  }
+
+  describe() {
+    return this.strategies.map(strategy => strategy.description).join(' + ');
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<{ allow: boolean, strategy: string|null, reason: string, retryMs: number|null, apiDown: boolean, activeUsers?: number }>}
+   *   `strategy` is the one holding races back (null when allowed)
+   */
+  async check(now = Date.now()) {
+    const reasons = [];
+    let apiDown = false;
+    let activeUsers;
+    for (const strategy of this.strategies) {
+      const decision = await strategy.check(now);
+      apiDown ||= Boolean(decision.apiDown);
+      activeUsers ??= decision.activeUsers;
+      if (!decision.allow) {
+        return { allow: false, strategy: strategy.name, reason: decision.reason, retryMs: decision.retryMs ?? null, apiDown, activeUsers };
+      }
+      if (decision.reason) reasons.push(decision.reason);
+    }
+    return { allow: true, strategy: null, reason: reasons.join(', ') || 'no restrictions', retryMs: null, apiDown, activeUsers };
+  }
+
+  /** Count a created race towards the rate limits. */
+  recordRace(time = Date.now()) {
+    for (const strategy of this.strategies) {
+      strategy.recordRace?.(time);
+    }
+  }
+}
+
+/**
+ * Build a deployment's policy from config.schedule (presence also uses config.bot, and is
+ * dropped when skipPresenceCheck is set, e.g. on a local chain).
+ *
+ * @param {Object} config - Deployment config
+ * @param {Object} [options]
+ * @param {number[]} [options.createdAt=[]] - Earlier race creation times for the rate limits
+ * @returns {SchedulePolicy}
+ */
+export function createSchedulePolicy(config, { createdAt = [] } = {}) {
+  const options = config.schedule;
+  const strategies = [];
+  for (const name of new Set(options.strategies)) {
+    switch (name) {
+      case 'always':
+        strategies.push(alwaysStrategy());
+        break;
+      case 'presence':
+        if (!config.bot.skipPresenceCheck) {
+          strategies.push(presenceStrategy({
+            url: config.bot.presenceApiUrl,
+            minUsers: options.minActiveUsers,
+            onError: options.presenceOnError,
+          }));
+        }
+        break;
+      case 'window':
+        strategies.push(windowStrategy({ windows: options.windows, timeZone: options.timezone }));
+        break;
+      case 'rateLimit':
+        strategies.push(rateLimitStrategy({
+          maxPerHour: options.maxRacesPerHour,
+          maxPerDay: options.maxRacesPerDay,
+          createdAt,
+        }));
+        break;
+      default:
+        throw new Error(`Unknown scheduling strategy "${name}" (expected ${SCHEDULE_STRATEGIES.join(', ')})`);
+    }
+  }
+  return new SchedulePolicy(strategies);
+}
+
+export default createSchedulePolicy;
@@ -0,0 +1,237 @@
+/**
+ * Signer backends.
+ *
+ * - key: raw hex private key from an env var (PRIVATE_KEY, or the deployment's privateKeyEnv)
+ * - keystore: encrypted JSON keystore, password read from a file or prompted on the terminal
+ * - remote: a signing service speaking JSON-RPC (eth_accounts, eth_signTransaction,
+ *   personal_sign, eth_signTypedData_v4) - e.g. a locally run Clef or web3signer; the key
+ *   never enters this process
+ *
+ * The signer is loaded once at startup, unconnected. The bot attaches it to whichever RPC is
+ * currently the write provider with `signer.connect(provider)`, which reuses the loaded key.
+ */
+
+import { readFileSync } from 'fs';
+import { createInterface } from 'readline';
+import { ethers } from 'ethers';
+
+export const SIGNER_BACKENDS = ['key', 'keystore', 'remote'];
+
+// Transaction fields as JSON-RPC quantities (the shape eth_signTransaction expects)
+function toRpcTransaction(tx) {
+  const quantity = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+  return {
+    from: tx.from,
+    to: tx.to ?? undefined,
+    data: tx.data ?? '0x',
+    value: quantity(tx.value ?? 0),
+    nonce: quantity(tx.nonce),
+    gas: quantity(tx.gasLimit),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+    chainId: quantity(tx.chainId),
+    type: quantity(tx.type),
+  };
+}
+
+// Fields of the request the signed transaction must carry unchanged; those left unset in
+// the request (e.g. gasPrice on an EIP-1559 transaction) are the service's to fill in
+const SIGNED_FIELDS = ['nonce', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'chainId', 'type'];
+
+/**
+ * Names of the requested fields the signed transaction doesn't match.
+ * @param {ethers.Transaction} signed
+ * @param {Object} requested - Resolved transaction request
+ * @returns {string[]}
+ */
+function differingFields(signed, requested) {
+  const differing = SIGNED_FIELDS.filter(field => {
+    const value = field === 'value' ? requested.value ?? 0 : requested[field];
+    if (value === null || value === undefined) return false;
+    return signed[field] === null || BigInt(signed[field]) !== BigInt(value);
+  });
+  if ((signed.to ?? null) !== (requested.to ? ethers.getAddress(requested.to) : null)) {
+    differing.push('to');
+  }
+  if (signed.data.toLowerCase() !== (requested.data ?? '0x').toLowerCase()) {
+    differing.push('data');
+  }
+  return differing;
+}
+
+/** Minimal JSON-RPC client for the signing service. */
+class SignerRpc {
+  constructor(url, timeoutMs = 10000) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+  }
+
+  async request(method, params) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Remote signer ${method} failed: HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    if (body.error) {
+      throw Object.assign(new Error(`Remote signer ${method} failed: ${body.error.message}`), { rpcError: body.error });
+    }
+    return body.result;
+  }
+}
+
+/**
+ * Signer whose key lives in a remote JSON-RPC signing service.
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {SignerRpc} rpc
+   * @param {string} address - Account the service signs for
+   * @param {ethers.Provider|null} [provider=null]
+   */
+  constructor(rpc, address, provider = null) {
+    super(provider);
+    this.rpc = rpc;
+    this.address = ethers.getAddress(address);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.rpc, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    const resolved = await ethers.resolveProperties({ ...tx, from: this.address });
+    const result = await this.rpc.request('eth_signTransaction', [toRpcTransaction(resolved)]);
+    // Geth/Clef return { raw, tx }, others the raw hex directly
+    const raw = typeof result === 'string' ? result : result?.raw;
+    if (!ethers.isHexString(raw)) throw new Error('Remote signer returned no signed transaction');
+
+    // Never broadcast something other than what was asked for
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== this.address) {
+      throw new Error(`Remote signer signed as ${signed.from}, expected ${this.address}`);
+    }
+    const differing = differingFields(signed, resolved);
+    if (differing.length > 0) {
+      throw new Error(`Remote signer returned a transaction that differs from the request (${differing.join(', ')})`);
+    }
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    return this.rpc.request('personal_sign', [data, this.address]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this.rpc.request('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+  }
+}
+
+// Read a password without echoing it (TTY only)
+function promptPassword(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No keystore password file configured and stdin is not a terminal to prompt on'));
+  }
+  return new Promise(resolve => {
+    const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) rl.output.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Load the signer for a deployment.
+ *
+ * @param {Object} deployment - Deployment config (deployments.js)
+ * @returns {Promise<ethers.Signer & { address: string }>} Unconnected signer
+ * @throws {Error} Missing or invalid key, unreadable keystore, wrong password, unreachable remote signer
+ */
+export async function loadSigner(deployment) {
+  const options = deployment.signer;
+  const owner = deployment.name ? ` for deployment "${deployment.name}"` : '';
+
+  switch (options.backend) {
+    case 'key': {
+      if (!deployment.privateKey) {
+        throw new Error(`${deployment.privateKeyEnv} is required${owner || ' in .env file'}`);
+      }
+      try {
+        return new ethers.Wallet(deployment.privateKey);
+      } catch {
+        throw new Error(`${deployment.privateKeyEnv} is not a valid private key`);
+      }
+    }
+
+    case 'keystore': {
+      let json;
+      try {
+        json = readFileSync(options.keystoreFile, 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read keystore ${options.keystoreFile}: ${error.message}`);
+      }
+      const password = options.passwordFile
+        ? readFileSync(options.passwordFile, 'utf8').replace(/\r?\n$/, '')
+        : await promptPassword(`🔐 Password for ${options.keystoreFile}${owner}: `);
+      try {
+        return await ethers.Wallet.fromEncryptedJson(json, password);
+      } catch (error) {
+        throw new Error(`Cannot decrypt keystore ${options.keystoreFile}: ${error.message}`);
+      }
+    }
+
+    case 'remote': {
+      const rpc = new SignerRpc(options.remoteUrl);
+      const accounts = (await rpc.request('eth_accounts', [])).map(account => ethers.getAddress(account));
+      const address = options.remoteAddress ? ethers.getAddress(options.remoteAddress) : accounts[0];
+      if (!address || !accounts.includes(address)) {
+        throw new Error(`Remote signer at ${options.remoteUrl} does not manage ${address ?? 'any account'}`);
+      }
+      return new RemoteSigner(rpc, address);
+    }
+
+    default:
+      throw new Error(`Unknown signer backend "${options.backend}" (expected ${SIGNER_BACKENDS.join(', ')})`);
+  }
+}
+
+/**
+ * Load every deployment's signer, refusing two deployments that share an account on one
+ * chain (their nonces would collide).
+ *
+ * @param {Object[]} deployments
+ * @returns {Promise<Array<ethers.Signer & { address: string }>>} Signers, in deployment order
+ */
+export async function loadSigners(deployments) {
+  const signers = [];
+  const owners = new Map();
+  for (const deployment of deployments) {
+    const signer = await loadSigner(deployment);
+    const key = `${deployment.chainId}:${signer.address}`;
+    if (owners.has(key)) {
+      throw new Error(`Deployments "${owners.get(key)}" and "${deployment.name}" use the same signer on chain ${deployment.chainId} - give each its own key`);
+    }
+    owners.set(key, deployment.name);
+    signers.push(signer);
+  }
+  return signers;
+}
+
+export default loadSigner;
@@ -0,0 +1,62 @@
+/**
+ * Startup checks: catch a misconfigured deployment before the first loop.
+ *
+ * - The RPC serves the configured chain (a wrong CHAIN_ID or RPC_URL would otherwise only
+ *   surface as confusing reverts or a dashboard that never changes)
+ * - There is contract code at giraffeRaceContract
+ * - The wallet is the contract's authorized race bot: createRace is simulated from the
+ *   wallet; NotRaceBot means it isn't, any other outcome (success, cooldown...) means it is
+ */
+
+import { decodeContractError } from './abi.js';
+
+/**
+ * @param {Object} options
+ * @param {import('ethers').Provider} options.provider - Write provider
+ * @param {import('ethers').Contract} options.contract - GiraffeRace bound to the wallet
+ * @param {number} options.chainId - Expected chain ID (config.chainId)
+ * @param {string} options.contractAddress
+ * @returns {Promise<{ name: string, ok: boolean, detail: string }[]>} One result per check;
+ *   later checks are skipped once one fails
+ */
+export async function runStartupChecks({ provider, contract, chainId, contractAddress }) {
+  const results = [];
+
+  const rpcChainId = Number(await provider.send('eth_chainId', []));
+  results.push({
+    name: 'chain',
+    ok: rpcChainId === chainId,
+    detail: rpcChainId === chainId
+      ? `RPC serves chain ${rpcChainId}`
+      : `RPC serves chain ${rpcChainId}, config expects ${chainId}`,
+  });
+  if (!results.at(-1).ok) return results;
+
+  const code = await provider.getCode(contractAddress);
+  results.push({
+    name: 'contract',
+    ok: code !== '0x',
+    detail: code !== '0x'
+      ? `Contract code found at ${contractAddress}`
+      : `No contract code at ${contractAddress} on chain ${chainId}`,
+  });
+  if (!results.at(-1).ok) return results;
+
+  try {
+    await contract.createRace.staticCall();
+    results.push({ name: 'raceBot', ok: true, detail: 'Wallet is the authorized race bot' });
+  } catch (error) {
+    const decoded = decodeContractError(error);
+    if (decoded.name === 'NotRaceBot') {
+      results.push({ name: 'raceBot', ok: false, detail: 'Wallet is not the contract\'s race bot (NotRaceBot)' });
+    } else if (decoded.known) {
+      // Reverted for a race-state reason, past the authorization check
+      results.push({ name: 'raceBot', ok: true, detail: `Wallet is the authorized race bot (createRace currently reverts with ${decoded.name})` });
+    } else {
+      results.push({ name: 'raceBot', ok: false, detail: `Could not confirm race-bot authorization: ${decoded.message}` });
+    }
+  }
+  return results;
+}
+
+export default runStartupChecks;
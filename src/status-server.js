@@ -0,0 +1,147 @@
+/**
+ * Optional embedded HTTP server exposing the bot's state for monitoring.
+ *
+ *   GET /health   - 200 when the loop is alive and the dashboard was polled recently (or the
+ *                   loop is in an announced sleep), else 503
+ *   GET /status   - current action, race, blocks remaining, leader role, scheduling decision,
+ *                   RPC health and the last probability table
+ *   GET /metrics  - Prometheus text format (see metrics.js)
+ *
+ * Each bot loop updates the state object from createBotState(); the server only reads them.
+ * With several deployments, /health and /status report each one by name.
+ */
+
+import http from 'http';
+import { renderMetrics } from './metrics.js';
+
+// One state object per bot loop; keyed by deployment name (null in single-deployment mode)
+const botStates = new Map();
+
+/**
+ * Register the state object a bot loop updates.
+ * @param {string|null} [name=null] - Deployment name
+ * @returns {Object}
+ */
+export function createBotState(name = null) {
+  const state = {
+    startedAt: Date.now(),
+    rpc: null,
+    mode: null,
+    // 'leader' / 'follower' with leader election enabled, else null; leader = lease holder
+    role: null,
+    leader: null,
+    providers: null,
+    lastLoopAt: null,
+    lastDashboardPollAt: null,
+    // End of the sleep (or event wait) the loop last announced
+    sleepingUntil: null,
+    block: null,
+    action: null,
+    raceId: null,
+    blocksRemaining: null,
+    // Last scheduling decision: { allowed, heldBy, reason }
+    schedule: null,
+    lastProbabilities: null,
+  };
+  botStates.set(name, state);
+  return state;
+}
+
+function secondsSince(ms) {
+  return ms === null ? null : (Date.now() - ms) / 1000;
+}
+
+// Stale once staleAfterMs has passed since the last tick and since the end of the
+// announced sleep, so a long deliberate sleep doesn't fail /health
+function health(botState, staleAfterMs) {
+  const sincePoll = secondsSince(botState.lastDashboardPollAt);
+  const sinceLoop = secondsSince(botState.lastLoopAt);
+  const sleeping = botState.sleepingUntil !== null && Date.now() < botState.sleepingUntil + staleAfterMs;
+  const loopAlive = sinceLoop !== null && (sinceLoop * 1000 < staleAfterMs || sleeping);
+  const pollFresh = sincePoll !== null && (sincePoll * 1000 < staleAfterMs || sleeping);
+  return {
+    ok: loopAlive && pollFresh,
+    loopAlive,
+    secondsSinceLastLoop: sinceLoop,
+    sleepingUntil: botState.sleepingUntil ? new Date(botState.sleepingUntil).toISOString() : null,
+    lastDashboardPollAt: botState.lastDashboardPollAt ? new Date(botState.lastDashboardPollAt).toISOString() : null,
+    secondsSinceLastDashboardPoll: sincePoll,
+    rpc: botState.rpc,
+    role: botState.role,
+    uptimeSeconds: secondsSince(botState.startedAt),
+  };
+}
+
+function status(botState) {
+  return {
+    action: botState.action,
+    raceId: botState.raceId === null ? null : botState.raceId.toString(),
+    blocksRemaining: botState.blocksRemaining,
+    block: botState.block,
+    rpc: botState.rpc,
+    mode: botState.mode,
+    role: botState.role,
+    leader: botState.leader,
+    schedule: botState.schedule,
+    providers: botState.providers,
+    lastProbabilities: botState.lastProbabilities,
+  };
+}
+
+function perDeployment(fn) {
+  return Object.fromEntries([...botStates].map(([name, state]) => [name, fn(state)]));
+}
+
+// A single bot keeps the flat response; several are reported per deployment
+function singleState() {
+  return botStates.size === 1 ? [...botStates.values()][0] : null;
+}
+
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Start the status server.
+ *
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.staleAfterMs=60000] - /health fails after this long without a loop tick or poll,
+ *   counted from the end of the sleep the loop announced
+ * @returns {Promise<http.Server>}
+ */
+export function startStatusServer({ port, host = '127.0.0.1', staleAfterMs = 60_000 }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'method not allowed' });
+      return;
+    }
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (path === '/health') {
+      if (singleState()) {
+        const body = health(singleState(), staleAfterMs);
+        sendJson(res, body.ok ? 200 : 503, body);
+      } else {
+        const deployments = perDeployment(state => health(state, staleAfterMs));
+        const ok = Object.values(deployments).every(d => d.ok);
+        sendJson(res, ok ? 200 : 503, { ok, deployments });
+      }
+    } else if (path === '/status') {
+      sendJson(res, 200, singleState() ? status(singleState()) : { deployments: perDeployment(status) });
+    } else if (path === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(renderMetrics());
+    } else {
+      sendJson(res, 404, { error: 'not found' });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+export default { createBotState, startStatusServer };
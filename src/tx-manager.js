@@ -0,0 +1,302 @@
+/**
+ * Transaction manager: local nonce tracking, confirmation timeouts and replacement of
+ * stuck transactions.
+ *
+ * A transaction that is underpriced or dropped by a flaky RPC would otherwise leave
+ * `tx.wait()` hanging forever. Here every send gets a nonce from a local counter, the
+ * receipt is polled for every hash sent at that nonce, and when nothing confirms within
+ * the timeout the transaction is re-sent at the same nonce with EIP-1559 fees bumped by
+ * `feeBumpPercent`, until `maxFeePerGas` would exceed the cap or `maxReplacements` is hit;
+ * then the last attempt gets one more confirmation timeout before the send fails. A
+ * replacement the node rejects (nonce too low, replacement underpriced) also falls back to
+ * waiting on what was already sent, since an earlier attempt may have been mined.
+ *
+ * A send can also carry a deadline block (e.g. the end of the odds window): once it passes
+ * unmined, the nonce is overwritten with a zero-value self-transfer so the late transaction
+ * can't mine and revert, and the send fails with DEADLINE_EXCEEDED - unless the original
+ * is mined first after all, which makes the send a success.
+ *
+ * With an InFlightStore (inflight.js) every sent hash is persisted until its nonce is
+ * resolved, and an abort signal (shutdown) abandons the wait with ABORTED, leaving the
+ * entry for reconciliation on the next start.
+ *
+ * With leader election, an instance that lost the lease stops replacing and cancelling:
+ * the nonce belongs to the new leader, which re-reads it from the chain.
+ */
+
+import { ethers } from 'ethers';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function bump(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+export class TransactionManager {
+  /**
+   * @param {Object} options
+   * @param {() => ethers.Signer} options.getSigner - Current signer (follows provider switches)
+   * @param {number} options.confirmationTimeoutMs - Wait this long per attempt before replacing
+   * @param {number} options.feeBumpPercent - Fee increase per replacement (nodes require >= 10)
+   * @param {bigint} options.maxFeePerGasCap - Never bid above this maxFeePerGas (wei)
+   * @param {number} options.maxReplacements - Replacement attempts before giving up
+   * @param {number} [options.receiptPollMs=2000]
+   * @param {(emoji: string, message: string, fields?: Object) => void} options.log
+   * @param {import('./inflight.js').InFlightStore|null} [options.inFlight=null] - Persist sent transactions
+   * @param {AbortSignal|null} [options.signal=null] - Stop waiting for receipts (shutdown)
+   * @param {() => boolean} [options.isLeader] - False once this instance lost the leader lease
+   * @param {(request: ethers.TransactionRequest) => Promise<ethers.TransactionResponse>} [options.sendTransaction]
+   *   Broadcast a fully specified transaction (default: the current signer's sendTransaction)
+   */
+  constructor({ getSigner, confirmationTimeoutMs, feeBumpPercent, maxFeePerGasCap, maxReplacements, receiptPollMs = 2000, log, inFlight = null, signal = null, isLeader = () => true, sendTransaction = null }) {
+    this.getSigner = getSigner;
+    this.confirmationTimeoutMs = confirmationTimeoutMs;
+    this.feeBumpPercent = feeBumpPercent;
+    this.maxFeePerGasCap = maxFeePerGasCap;
+    this.maxReplacements = maxReplacements;
+    this.receiptPollMs = receiptPollMs;
+    this.log = log;
+    this.inFlight = inFlight;
+    this.signal = signal;
+    this.isLeader = isLeader;
+    this.sendTransaction = sendTransaction ?? (request => this.getSigner().sendTransaction(request));
+    this.nextNonce = null;
+  }
+
+  // -----------------------
+  // Nonces
+  // -----------------------
+
+  async reserveNonce() {
+    if (this.nextNonce === null) {
+      const signer = this.getSigner();
+      this.nextNonce = await signer.provider.getTransactionCount(await signer.getAddress(), 'pending');
+    }
+    return this.nextNonce++;
+  }
+
+  /** Forget the local nonce; the next send re-reads the pending count from the chain. */
+  resyncNonce() {
+    this.nextNonce = null;
+  }
+
+  // -----------------------
+  // Fees
+  // -----------------------
+
+  async initialFees() {
+    const feeData = await this.getSigner().provider.getFeeData();
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+    let maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    if (maxFeePerGas > this.maxFeePerGasCap) maxFeePerGas = this.maxFeePerGasCap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // -----------------------
+  // Sending
+  // -----------------------
+
+  /**
+   * Send a transaction and wait for it to be mined, replacing it if it gets stuck.
+   *
+   * @param {string} label - Action name for logs
+   * @param {() => Promise<ethers.TransactionRequest>} populate - e.g. () => contract.fn.populateTransaction(...)
+   * @param {Object} [options]
+   * @param {number|null} [options.deadlineBlock=null] - Give up (and cancel) once the chain is past this block
+   * @param {bigint|null} [options.raceId=null] - Recorded with the in-flight entry
+   * @returns {Promise<{ receipt: ethers.TransactionReceipt, hashes: string[], replacements: number }>}
+   * @throws The send error, a CALL_EXCEPTION-style error if the transaction reverted,
+   *         a TIMEOUT error if it never confirmed, DEADLINE_EXCEEDED past the deadline block,
+   *         or ABORTED when the signal fired while waiting
+   */
+  async send(label, populate, { deadlineBlock = null, raceId = null } = {}) {
+    const request = await populate();
+    // Everything that can fail before the first send runs before the nonce is taken, so a
+    // failure can't leave a gap behind the local nonce counter
+    let fees = await this.initialFees();
+    const nonce = await this.reserveNonce();
+    const hashes = [];
+    let gasLimit = request.gasLimit;
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let sent;
+        try {
+          sent = await this.sendTransaction({ ...request, nonce, gasLimit, type: 2, ...fees });
+        } catch (error) {
+          // "nonce too low" / "replacement underpriced": an earlier attempt was mined or is still pending
+          if (hashes.length === 0) throw error;
+          this.log('⚠️', `Replacement #${attempt} for ${label} failed (${error.shortMessage || error.message}) - waiting on the earlier attempt(s)`, { nonce });
+          break;
+        }
+        gasLimit = sent.gasLimit;
+        hashes.push(sent.hash);
+        this.inFlight?.record({ action: label, raceId, nonce, hashes, ...fees });
+        this.log(
+          attempt === 0 ? '📤' : '⛽',
+          attempt === 0
+            ? `Transaction sent: ${sent.hash}`
+            : `Replacement #${attempt} sent for ${label} (nonce ${nonce}, maxFee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei): ${sent.hash}`,
+          { txHash: sent.hash, nonce }
+        );
+        if (attempt === 0) this.log('⏳', 'Waiting for confirmation...');
+
+        const receipt = await this.waitForAny(hashes, nonce, deadlineBlock);
+        if (receipt) return this.confirmed(label, nonce, receipt, hashes);
+
+        const next = {
+          maxFeePerGas: bump(fees.maxFeePerGas, this.feeBumpPercent),
+          maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, this.feeBumpPercent),
+        };
+        if (next.maxFeePerGas > this.maxFeePerGasCap || attempt === this.maxReplacements) {
+          const limit = attempt === this.maxReplacements ? `${this.maxReplacements} replacement(s)` : 'the fee cap';
+          this.log('🐢', `${label} not confirmed and ${limit} reached - waiting on the last attempt`, { nonce });
+          break;
+        }
+        if (!this.isLeader()) {
+          this.log('🪑', `${label} not confirmed, but no longer leader - not replacing, waiting on the last attempt`, { nonce });
+          break;
+        }
+        this.log('🐢', `${label} not confirmed after ${Math.round(this.confirmationTimeoutMs / 1000)}s - bumping fees by ${this.feeBumpPercent}%`, { nonce });
+        fees = next;
+      }
+
+      // No more replacements, but what was already sent can still be mined
+      const receipt = await this.waitForAny(hashes, nonce, deadlineBlock);
+      if (receipt) return this.confirmed(label, nonce, receipt, hashes);
+    } catch (error) {
+      // A send that never reached the mempool leaves a gap at this nonce
+      if (hashes.length === 0) this.resyncNonce();
+      if (error.code === 'DEADLINE_EXCEEDED' || error.code === 'ABORTED') {
+        error.message = `${label} ${error.message}`;
+        error.hashes = hashes;
+      }
+      if (error.code === 'DEADLINE_EXCEEDED') {
+        const cancelHash = await this.cancelNonce(label, nonce, fees, { hashes, raceId });
+        // The late transaction can still beat the cancel, and then it did go through
+        const receipt = await this.waitForAny(cancelHash ? [...hashes, cancelHash] : hashes, nonce).catch(() => null);
+        if (receipt && receipt.hash !== cancelHash) {
+          this.log('🏁', `${label} was mined before the cancel, in block ${receipt.blockNumber}`, { txHash: receipt.hash, nonce });
+          return this.confirmed(label, nonce, receipt, hashes);
+        }
+        if (receipt) this.inFlight?.clear(nonce);
+      }
+      throw error;
+    }
+
+    // Gave up: the last attempt may still mine later, so re-read nonces next time
+    this.resyncNonce();
+    const error = new Error(`${label} not confirmed after ${hashes.length} attempt(s) (fee cap ${ethers.formatUnits(this.maxFeePerGasCap, 'gwei')} gwei)`);
+    error.code = 'TIMEOUT';
+    error.hashes = hashes;
+    throw error;
+  }
+
+  // A receipt for one of the hashes sent at `nonce`: the nonce is resolved either way
+  confirmed(label, nonce, receipt, hashes) {
+    this.inFlight?.clear(nonce);
+    if (receipt.status === 0) {
+      const error = new Error(`${label} reverted (tx ${receipt.hash})`);
+      error.code = 'CALL_EXCEPTION';
+      error.receipt = receipt;
+      throw error;
+    }
+    return { receipt, hashes, replacements: hashes.length - 1 };
+  }
+
+  /**
+   * Overwrite a pending nonce with a zero-value self-transfer at bumped fees. Best effort:
+   * the original may still win, and a cap too low for the bump leaves it in place.
+   * @param {string} label
+   * @param {number} nonce
+   * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }} fees - Last fees bid at this nonce
+   * @param {Object} [pending] - Hashes already sent at the nonce and their raceId (in-flight record)
+   * @returns {Promise<string|null>} Hash of the cancelling transaction, if sent
+   */
+  async cancelNonce(label, nonce, fees, { hashes = [], raceId = null } = {}) {
+    const next = {
+      maxFeePerGas: bump(fees.maxFeePerGas, this.feeBumpPercent),
+      maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, this.feeBumpPercent),
+    };
+    try {
+      if (!this.isLeader()) {
+        this.log('🪑', `Not cancelling ${label} (nonce ${nonce}): no longer leader`, { nonce });
+        return null;
+      }
+      if (next.maxFeePerGas > this.maxFeePerGasCap) {
+        this.log('⚠️', `Cannot cancel ${label} (nonce ${nonce}): replacement fee would exceed the cap`, { nonce });
+        return null;
+      }
+      const address = await this.getSigner().getAddress();
+      const sent = await this.sendTransaction({ to: address, value: 0n, nonce, gasLimit: 21000n, type: 2, ...next });
+      this.log('🛑', `Cancelling ${label} (nonce ${nonce}) with a no-op replacement: ${sent.hash}`, { txHash: sent.hash, nonce });
+      this.inFlight?.record({ action: label, raceId, nonce, hashes: [...hashes, sent.hash], ...next, cancelled: true });
+      return sent.hash;
+    } catch (error) {
+      // Typically "nonce too low": the original was mined meanwhile
+      this.log('⚠️', `Could not cancel ${label} (nonce ${nonce}): ${error.shortMessage || error.message}`, { nonce });
+      return null;
+    } finally {
+      this.resyncNonce();
+    }
+  }
+
+  /**
+   * Poll for a receipt of any hash sent at `nonce` until the confirmation timeout.
+   * @param {string[]} hashes
+   * @param {number} nonce
+   * @param {number|null} [deadlineBlock=null]
+   * @returns {Promise<ethers.TransactionReceipt|null>} null on timeout
+   * @throws NONCE_EXPIRED if another transaction used the nonce, DEADLINE_EXCEEDED past deadlineBlock,
+   *         ABORTED when the signal fires
+   */
+  async waitForAny(hashes, nonce, deadlineBlock = null) {
+    const deadline = Date.now() + this.confirmationTimeoutMs;
+    const signer = this.getSigner();
+    const address = await signer.getAddress();
+
+    while (Date.now() < deadline) {
+      const provider = this.getSigner().provider;
+      for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+
+      // Nonce used by a transaction we did not send (e.g. another bot instance)
+      const confirmed = await provider.getTransactionCount(address, 'latest');
+      if (confirmed > nonce) {
+        for (const hash of hashes) {
+          const receipt = await provider.getTransactionReceipt(hash);
+          if (receipt) return receipt;
+        }
+        this.resyncNonce();
+        this.inFlight?.clear(nonce);
+        const error = new Error(`Nonce ${nonce} was consumed by another transaction`);
+        error.code = 'NONCE_EXPIRED';
+        throw error;
+      }
+
+      if (deadlineBlock !== null) {
+        const blockNumber = await provider.getBlockNumber();
+        if (blockNumber > deadlineBlock) {
+          const error = new Error(`not mined by block ${deadlineBlock} (now ${blockNumber})`);
+          error.code = 'DEADLINE_EXCEEDED';
+          throw error;
+        }
+      }
+
+      if (this.signal?.aborted) {
+        const error = new Error(`wait abandoned for shutdown (nonce ${nonce} stays in the in-flight state)`);
+        error.code = 'ABORTED';
+        throw error;
+      }
+      await sleep(this.receiptPollMs);
+    }
+    return null;
+  }
+}
+
+export default TransactionManager;
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { GIRAFFE_RACE_ABI, CONTRACT_ERRORS, verifyErrorSelectors, decodeContractError } from '../src/abi.js';
+
+const errorFragments = GIRAFFE_RACE_ABI.filter(entry => entry.type === 'error');
+
+test('CONTRACT_ERRORS matches the ABI error fragments', () => {
+  const expected = Object.fromEntries(errorFragments.map(entry => {
+    const signature = `${entry.name}(${entry.inputs.map(input => input.type).join(',')})`;
+    return [ethers.id(signature).slice(0, 10), entry.name];
+  }));
+  assert.deepEqual(CONTRACT_ERRORS, expected);
+});
+
+test('verifyErrorSelectors reports no problems', () => {
+  assert.deepEqual(verifyErrorSelectors(), []);
+});
+
+test('decodeContractError names the error and the RPC that raised it', () => {
+  const error = Object.assign(new Error('execution reverted'), {
+    data: ethers.id('CooldownNotElapsed()').slice(0, 10),
+    rpc: 'https://fallback.example',
+  });
+  const decoded = decodeContractError(error);
+  assert.equal(decoded.name, 'CooldownNotElapsed');
+  assert.equal(decoded.rpc, 'https://fallback.example');
+  assert.equal(decodeContractError(error, 'https://other.example').rpc, 'https://other.example');
+  assert.equal(decodeContractError(new Error('boom')).rpc, null);
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { RedisLease, LeaderElection } from '../src/leader.js';
+
+// Redis stand-in: AUTH, SELECT and the two EVAL scripts RedisLease sends, over RESP
+function startRedis(password = null) {
+  const keys = new Map();
+  const get = key => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key) ?? null;
+  };
+  const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+  function execute([name, ...args], session) {
+    if (name === 'AUTH') {
+      session.authed = args[0] === password;
+      return session.authed ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+    }
+    if (password && !session.authed) return '-NOAUTH Authentication required.\r\n';
+    if (name === 'SELECT') return '+OK\r\n';
+    if (name !== 'EVAL') return `-ERR unknown command '${name}'\r\n`;
+    const [script, , key, holder, ttlMs] = args;
+    const current = get(key);
+    if (script.includes("'DEL'")) {
+      if (current?.value !== holder) return ':0\r\n';
+      keys.delete(key);
+      return ':1\r\n';
+    }
+    if (!current || current.value === holder) {
+      keys.set(key, { value: holder, expiresAt: Date.now() + Number(ttlMs) });
+      return `*3\r\n:1\r\n${bulk(holder)}:${ttlMs}\r\n`;
+    }
+    return `*3\r\n:0\r\n${bulk(current.value)}:${current.expiresAt - Date.now()}\r\n`;
+  }
+
+  const server = net.createServer(socket => {
+    const session = { authed: false };
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // Arrays of bulk strings, read by length since the Lua scripts contain CRLF
+      for (;;) {
+        let cursor = buffer.indexOf('\r\n');
+        if (cursor === -1) return;
+        const count = Number(buffer.slice(1, cursor));
+        cursor += 2;
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          const headerEnd = buffer.indexOf('\r\n', cursor);
+          if (headerEnd === -1) return;
+          const length = Number(buffer.slice(cursor + 1, headerEnd));
+          if (buffer.length < headerEnd + 2 + length + 2) return;
+          args.push(buffer.slice(headerEnd + 2, headerEnd + 2 + length));
+          cursor = headerEnd + 2 + length + 2;
+        }
+        buffer = buffer.slice(cursor);
+        socket.write(execute(args, session));
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  return server;
+}
+
+let redis;
+let url;
+
+before(async () => {
+  redis = startRedis();
+  await once(redis, 'listening');
+  url = `redis://127.0.0.1:${redis.address().port}`;
+});
+
+after(() => redis.close());
+
+test('RedisLease: one holder at a time, released leases can be taken', async () => {
+  const lease = new RedisLease(url, 'test:holders');
+  const first = await lease.acquire('a', 10_000);
+  assert.equal(first.acquired, true);
+  assert.equal(first.holder, 'a');
+
+  const second = await lease.acquire('b', 10_000);
+  assert.equal(second.acquired, false);
+  assert.equal(second.holder, 'a');
+  assert.ok(second.expiresAt > Date.now());
+
+  // Renewal by the holder, and a release by someone else is ignored
+  assert.equal((await lease.acquire('a', 10_000)).acquired, true);
+  await lease.release('b');
+  assert.equal((await lease.acquire('b', 10_000)).acquired, false);
+
+  await lease.release('a');
+  assert.equal((await lease.acquire('b', 10_000)).acquired, true);
+});
+
+test('RedisLease: an expired lease goes to the next instance', async () => {
+  const lease = new RedisLease(url, 'test:expiry');
+  assert.equal((await lease.acquire('a', 50)).acquired, true);
+  assert.equal((await lease.acquire('b', 50)).acquired, false);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  const takeover = await lease.acquire('b', 10_000);
+  assert.equal(takeover.acquired, true);
+  assert.equal(takeover.holder, 'b');
+});
+
+test('RedisLease: sends AUTH and surfaces Redis errors', async () => {
+  const secured = startRedis('s3cret');
+  await once(secured, 'listening');
+  const { port } = secured.address();
+  try {
+    assert.equal((await new RedisLease(`redis://:s3cret@127.0.0.1:${port}/2`, 'test:auth').acquire('a', 1000)).acquired, true);
+    await assert.rejects(new RedisLease(`redis://:wrong@127.0.0.1:${port}`, 'test:auth').acquire('a', 1000), /Redis error: WRONGPASS/);
+  } finally {
+    secured.close();
+  }
+});
+
+test('LeaderElection: the standby takes over when the leader steps down', async () => {
+  const options = { leaseMs: 10_000, renewIntervalMs: 1_000 };
+  const leader = new LeaderElection(new RedisLease(url, 'test:election'), { ...options, instanceId: 'a' });
+  const standby = new LeaderElection(new RedisLease(url, 'test:election'), { ...options, instanceId: 'b' });
+  const events = [];
+  standby.on('elected', () => events.push('elected'));
+
+  await leader.start();
+  await standby.start();
+  try {
+    assert.equal(leader.role(), 'leader');
+    assert.equal(standby.role(), 'follower');
+    assert.equal(standby.holder, 'a');
+
+    await leader.stop();
+    await standby.tick();
+    assert.equal(standby.isLeader(), true);
+    assert.deepEqual(events, ['elected']);
+  } finally {
+    await leader.stop();
+    await standby.stop();
+  }
+});
+
+test('LeaderElection: an unreachable backend reports an error and never elects', async () => {
+  const closed = net.createServer().listen(0, '127.0.0.1');
+  await once(closed, 'listening');
+  const { port } = closed.address();
+  closed.close();
+
+  const election = new LeaderElection(new RedisLease(`redis://127.0.0.1:${port}`, 'test:down'), {
+    instanceId: 'a',
+    leaseMs: 1_000,
+    renewIntervalMs: 300,
+  });
+  const errors = [];
+  election.on('error', error => errors.push(error));
+  await election.tick();
+  assert.equal(election.isLeader(), false);
+  assert.equal(errors.length, 1);
+});
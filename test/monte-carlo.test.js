@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateProbabilities, calculateProbabilitiesExact } from '../src/monte-carlo.js';
+
+const POOLS = ['winProb', 'placeProb', 'showProb'];
+const SAMPLES = 20_000;
+
+test('Exact solver: Win/Place/Show probabilities sum to 1, 2 and 3', () => {
+  const result = calculateProbabilitiesExact([1, 3, 5, 7, 9, 10]);
+  assert.equal(result.method, 'exact');
+  assert.equal(result.samples, 0);
+  POOLS.forEach((pool, i) => {
+    const total = result.lanes.reduce((sum, lane) => sum + lane[pool], 0);
+    assert.ok(Math.abs(total - (i + 1)) < 1e-9, `${pool} sums to ${total}`);
+  });
+});
+
+test('Exact solver: equal scores give equal odds, and a higher score does better in every pool', () => {
+  assert.deepEqual(calculateProbabilitiesExact([10, 10, 10, 10, 10, 10]).winProbBps, Array(6).fill(1667));
+
+  const { lanes } = calculateProbabilitiesExact([1, 3, 5, 7, 9, 10]);
+  for (let lane = 1; lane < lanes.length; lane++) {
+    for (const pool of POOLS) assert.ok(lanes[lane][pool] > lanes[lane - 1][pool], `lane ${lane} ${pool}`);
+  }
+});
+
+for (const scores of [[1, 3, 5, 7, 9, 10], [10, 1, 1, 1, 1, 1]]) {
+  test(`Exact solver agrees with Monte Carlo for scores ${scores.join(',')}`, () => {
+    const exact = calculateProbabilitiesExact(scores);
+    const sampled = calculateProbabilities(scores, SAMPLES, 7);
+    for (let lane = 0; lane < scores.length; lane++) {
+      for (const pool of POOLS) {
+        const p = exact.lanes[lane][pool];
+        // Seeded, so deterministic; 5 standard errors keeps it far from flaky across engine changes
+        const tolerance = 5 * Math.sqrt(p * (1 - p) / SAMPLES);
+        const diff = Math.abs(sampled.lanes[lane][pool] - p);
+        assert.ok(diff <= tolerance, `lane ${lane} ${pool}: exact ${p.toFixed(4)}, sampled ${sampled.lanes[lane][pool].toFixed(4)}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProbabilities } from '../src/probability-validation.js';
+
+// Calculator-shaped result from raw per-lane probabilities, rounded per lane as the calculators do
+function resultFrom(win, place, show) {
+  return {
+    lanes: win.map((_, lane) => ({
+      lane,
+      winProb: win[lane],
+      placeProb: place[lane],
+      showProb: show[lane],
+      winProbBps: Math.round(win[lane] * 10_000),
+      placeProbBps: Math.round(place[lane] * 10_000),
+      showProbBps: Math.round(show[lane] * 10_000),
+    })),
+  };
+}
+
+const sum = values => values.reduce((a, v) => a + v, 0);
+
+function assertContractRules(report) {
+  assert.ok(report.ok, report.violations.join('; '));
+  assert.equal(sum(report.winProbBps), 10_000);
+  assert.equal(sum(report.placeProbBps), 20_000);
+  assert.equal(sum(report.showProbBps), 30_000);
+  report.winProbBps.forEach((win, lane) => {
+    assert.ok(win <= report.placeProbBps[lane] && report.placeProbBps[lane] <= report.showProbBps[lane], `lane ${lane}`);
+  });
+}
+
+test('Largest remainder: six even lanes hit the column totals that per-lane rounding misses', () => {
+  const result = resultFrom(Array(6).fill(1 / 6), Array(6).fill(2 / 6), Array(6).fill(3 / 6));
+  assert.equal(sum(result.lanes.map(l => l.winProbBps)), 10_002);
+
+  const report = normalizeProbabilities(result);
+  assertContractRules(report);
+  assert.ok(report.adjusted);
+  // Equal remainders go to the lowest lanes first
+  assert.deepEqual(report.winProbBps, [1667, 1667, 1667, 1667, 1666, 1666]);
+  assert.deepEqual(report.placeProbBps, [3334, 3334, 3333, 3333, 3333, 3333]);
+  assert.deepEqual(report.showProbBps, Array(6).fill(5000));
+});
+
+test('Largest remainder: a long shot that rounds to 0 is lifted to minBps', () => {
+  const win = [0.000004, 0.2, 0.2, 0.2, 0.2, 0.199996];
+  const report = normalizeProbabilities(resultFrom(win, win.map(p => p * 2), win.map(p => p * 3)));
+  assertContractRules(report);
+  assert.equal(report.winProbBps[0], 1);
+  assert.equal(report.diffs.find(d => d.pool === 'win' && d.lane === 0).roundedBps, 0);
+});
+
+test('Monotonic repair: place is raised to win from the lane with the most slack, keeping the total', () => {
+  const win = [0.5, 0.1, 0.1, 0.1, 0.1, 0.1];
+  const place = [0.4999, ...Array(5).fill((2 - 0.4999) / 5)];
+  const show = [0.6, ...Array(5).fill((3 - 0.6) / 5)];
+  const report = normalizeProbabilities(resultFrom(win, place, show));
+  assertContractRules(report);
+  assert.equal(report.diffs.find(d => d.pool === 'place' && d.lane === 0).roundedBps, 4999);
+  assert.equal(report.winProbBps[0], 5000);
+  assert.equal(report.placeProbBps[0], 5000);
+});
+
+test('Unreachable bounds and oversized adjustments are refused, not submitted', () => {
+  const even = resultFrom(Array(6).fill(1 / 6), Array(6).fill(2 / 6), Array(6).fill(3 / 6));
+  const capped = normalizeProbabilities(even, { maxBps: 1000 });
+  assert.equal(capped.ok, false);
+  assert.equal(capped.winProbBps, null);
+  assert.ok(capped.violations.includes('win: bounds [1, 1000] cannot reach sum 10000'));
+
+  const favourite = [0.9, 0.02, 0.02, 0.02, 0.02, 0.02];
+  const place = [0.98, ...Array(5).fill(0.204)];
+  const show = [1, ...Array(5).fill(0.4)];
+  const report = normalizeProbabilities(resultFrom(favourite, place, show), { maxBps: 8000 });
+  assert.equal(report.ok, false);
+  assert.ok(report.violations.some(v => v.startsWith('win[0]: adjusted 9000.0 -> 8000')), report.violations.join('; '));
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderPool } from '../src/provider-pool.js';
+
+// Calls never reach these: each test's fn answers (or fails) by URL
+const A = 'http://rpc-a.invalid';
+const B = 'http://rpc-b.invalid';
+const C = 'http://rpc-c.invalid';
+
+function pool(options = {}) {
+  return new ProviderPool([A, B, C], { chainId: 8453, maxBlockLag: 5, retryDelayMs: 0, ...options });
+}
+
+function rpcError(message, code = 'SERVER_ERROR') {
+  return Object.assign(new Error(message), { code });
+}
+
+// fn that fails on the given URLs and records the order providers were tried in
+function failingOn(urls, error = url => rpcError(`${url} down`)) {
+  const tried = [];
+  const fn = async (provider, url) => {
+    tried.push(url);
+    if (urls.includes(url)) throw error(url);
+    return url;
+  };
+  return { fn, tried };
+}
+
+test('read: retries each provider, then falls through to the next', async () => {
+  const providers = pool();
+  const { fn, tried } = failingOn([A]);
+  const retries = [];
+
+  assert.equal(await providers.read(fn, (entry, attempt) => retries.push([entry.url, attempt])), B);
+  assert.deepEqual(tried, [A, A, B]);
+  assert.deepEqual(retries, [[A, 1], [B, 2]]);
+
+  const a = providers.entries.find(entry => entry.url === A);
+  assert.equal(a.failures, 2);
+  assert.equal(a.lastError, `${A} down`);
+});
+
+test('read: a failing or stuck provider drops down the ranking', async () => {
+  const providers = pool({ attemptsPerProvider: 1 });
+  await providers.read(failingOn([A]).fn);
+  assert.deepEqual(providers.ranked().map(entry => entry.url), [B, C, A]);
+
+  const [b, c] = [B, C].map(url => providers.entries.find(entry => entry.url === url));
+  providers.recordBlock(c, 1000);
+  providers.recordBlock(b, 990);
+  assert.ok(providers.isStuck(b));
+  assert.equal(providers.ranked().at(-1).url, B);
+});
+
+test('read: when every provider fails, the last error is thrown tagged with its RPC', async () => {
+  const providers = pool({ attemptsPerProvider: 1 });
+  await assert.rejects(providers.read(failingOn([A, B, C]).fn), (error) => {
+    assert.equal(error.message, `${C} down`);
+    assert.equal(error.rpc, C);
+    return true;
+  });
+});
+
+test('write: stays on the write RPC and falls back to the others when a send fails there', async () => {
+  const providers = pool({ writeRpc: C });
+  const healthy = failingOn([]);
+  assert.equal(await providers.write(healthy.fn), C);
+
+  const { fn, tried } = failingOn([C]);
+  const fallbacks = [];
+  assert.equal(await providers.write(fn, (entry, error) => fallbacks.push([entry.url, error.rpc])), A);
+  assert.deepEqual(tried, [C, A]);
+  assert.deepEqual(fallbacks, [[A, C]]);
+});
+
+test('write: an unhealthy write RPC is skipped', async () => {
+  const providers = pool({ writeRpc: C });
+  const c = providers.entries.find(entry => entry.url === C);
+  for (let i = 0; i < 4; i++) providers.recordFailure(c, rpcError('timeout'));
+  assert.ok(c.errorRate >= 0.5);
+  assert.notEqual(providers.writeEntry().url, C);
+});
+
+test('write: a rejected transaction is thrown at once and not held against the provider', async () => {
+  const providers = pool();
+  const { fn, tried } = failingOn([A], () => rpcError('nonce too low', 'NONCE_EXPIRED'));
+  await assert.rejects(providers.write(fn), (error) => {
+    assert.equal(error.code, 'NONCE_EXPIRED');
+    assert.equal(error.rpc, A);
+    return true;
+  });
+  assert.deepEqual(tried, [A]);
+
+  const a = providers.entries.find(entry => entry.url === A);
+  assert.equal(a.failures, 0);
+  assert.equal(a.errorRate, 0);
+});
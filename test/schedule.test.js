@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWindows, windowStrategy, rateLimitStrategy, SchedulePolicy } from '../src/schedule.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const at = iso => Date.parse(iso);
+
+test('parseWindows: day lists, ranges, wrapping ranges and every-day windows', () => {
+  const [weekdays, weekend, wrapping, everyDay, star] = parseWindows([
+    'Mon-Fri 09:00-17:00',
+    'Sat,Sun 12:00-02:00',
+    'fri-monday 20:30-24:00',
+    '06:00-07:00',
+    '* 6:00 - 7:00',
+  ]);
+  assert.deepEqual([...weekdays.days], [1, 2, 3, 4, 5]);
+  assert.equal(weekdays.start, 9 * 60);
+  assert.equal(weekdays.end, 17 * 60);
+  assert.deepEqual([...weekend.days], [6, 0]);
+  assert.equal(weekend.end, 2 * 60);
+  assert.deepEqual([...wrapping.days], [5, 6, 0, 1]);
+  assert.equal(wrapping.end, 24 * 60);
+  assert.equal(everyDay.days.size, 7);
+  assert.equal(star.days.size, 7);
+});
+
+test('parseWindows: malformed windows are rejected with the spec in the message', () => {
+  assert.throws(() => parseWindows(['Mon-Fri 9-17']), /"Mon-Fri 9-17" is not "\[days\] HH:MM-HH:MM"/);
+  assert.throws(() => parseWindows(['Funday 09:00-10:00']), /"Funday 09:00-10:00": unknown day "Funday"/);
+  assert.throws(() => parseWindows(['Mo 09:00-10:00']), /unknown day "Mo"/);
+  assert.throws(() => parseWindows(['10:60-11:00']), /invalid time 10:60/);
+  assert.throws(() => parseWindows(['24:01-23:00']), /invalid time 24:01/);
+  assert.throws(() => parseWindows(['09:00-09:00']), /start and end are the same/);
+});
+
+test('windowStrategy: an overnight window stays open past midnight into the next day', async () => {
+  const window = windowStrategy({ windows: ['Sat,Sun 12:00-02:00'] });
+
+  // Sunday's window runs until Monday 02:00
+  assert.equal((await window.check(at('2026-10-19T01:00:00Z'))).allow, true);
+  // Saturday 01:00 would belong to a Friday window, and Friday isn't listed
+  assert.equal((await window.check(at('2026-10-24T01:00:00Z'))).allow, false);
+  assert.equal((await window.check(at('2026-10-24T12:00:00Z'))).allow, true);
+  assert.equal((await window.check(at('2026-10-25T01:59:00Z'))).allow, true);
+
+  const closed = await window.check(at('2026-10-19T02:00:00Z'));
+  assert.equal(closed.allow, false);
+  assert.equal(closed.retryMs, at('2026-10-24T12:00:00Z') - at('2026-10-19T02:00:00Z'));
+  assert.match(closed.reason, /opens 2026-10-24T12:00:00.000Z/);
+});
+
+test('windowStrategy: windows are read in their time zone', async () => {
+  const window = windowStrategy({ windows: ['Mon-Fri 09:00-17:00'], timeZone: 'America/New_York' });
+  // 09:00 EDT
+  assert.equal((await window.check(at('2026-10-19T13:00:00Z'))).allow, true);
+  const early = await window.check(at('2026-10-19T12:30:00Z'));
+  assert.equal(early.allow, false);
+  assert.equal(early.retryMs, 30 * MINUTE_MS);
+});
+
+test('rateLimitStrategy: retries once the oldest counted race leaves the window', async () => {
+  const now = at('2026-10-19T12:00:00Z');
+  const limit = rateLimitStrategy({ maxPerHour: 2, createdAt: [now - 50 * MINUTE_MS, now - 20 * MINUTE_MS, now - 2 * HOUR_MS] });
+
+  const held = await limit.check(now);
+  assert.equal(held.allow, false);
+  assert.equal(held.reason, '2 race(s) created in the last hour (max 2)');
+  assert.equal(held.retryMs, 10 * MINUTE_MS);
+  assert.equal((await limit.check(now + 10 * MINUTE_MS)).allow, true);
+
+  // A recorded race counts from then on
+  limit.recordRace(now + 15 * MINUTE_MS);
+  assert.equal((await limit.check(now + 16 * MINUTE_MS)).retryMs, 24 * MINUTE_MS);
+});
+
+test('rateLimitStrategy: with both limits, the daily one holds once the hourly one has room', async () => {
+  const now = at('2026-10-19T12:00:00Z');
+  const createdAt = [now - 23 * HOUR_MS, now - 10 * HOUR_MS, now - 5 * HOUR_MS];
+  const held = await rateLimitStrategy({ maxPerHour: 1, maxPerDay: 3, createdAt }).check(now);
+  assert.equal(held.reason, '3 race(s) created in the last day (max 3)');
+  assert.equal(held.retryMs, HOUR_MS);
+});
+
+test('SchedulePolicy: reports the strategy holding races back, cheap checks first', async () => {
+  const now = at('2026-10-19T02:00:00Z');
+  const policy = new SchedulePolicy([
+    rateLimitStrategy({ maxPerHour: 1, createdAt: [now - MINUTE_MS] }),
+    windowStrategy({ windows: ['Sat,Sun 12:00-02:00'] }),
+  ]);
+  assert.equal(policy.describe(), 'window (Sat,Sun 12:00-02:00 UTC) + rate limit (1/hour)');
+  const decision = await policy.check(now);
+  assert.equal(decision.allow, false);
+  assert.equal(decision.strategy, 'window');
+
+  assert.deepEqual(await new SchedulePolicy([]).check(now), {
+    allow: true, strategy: null, reason: 'no restrictions', retryMs: null, apiDown: false, activeUsers: undefined,
+  });
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransactionManager } from '../src/tx-manager.js';
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// Chain stand-in: pending and mined nonce counts, fee data, and receipts for the sends `mineWhen` accepts
+function fakeChain({ pendingNonce = 5, feeData = { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n } } = {}) {
+  const chain = {
+    pendingNonce,
+    minedNonce: pendingNonce,
+    feeData,
+    nonceReads: 0,
+    receipts: new Map(),
+    sent: [],
+    sendError: null,
+    // Called with each request; return true to have it mined
+    mineWhen: () => true,
+  };
+  chain.provider = {
+    async getTransactionCount(address, tag) {
+      if (tag === 'pending') chain.nonceReads++;
+      return tag === 'pending' ? chain.pendingNonce : chain.minedNonce;
+    },
+    async getFeeData() {
+      if (chain.feeData instanceof Error) throw chain.feeData;
+      return chain.feeData;
+    },
+    async getTransactionReceipt(hash) {
+      return chain.receipts.get(hash) ?? null;
+    },
+    async getBlockNumber() {
+      return 100;
+    },
+  };
+  chain.signer = { provider: chain.provider, getAddress: async () => ADDRESS };
+  chain.sendTransaction = async (request) => {
+    if (chain.sendError) throw chain.sendError;
+    const hash = `0x${(chain.sent.length + 1).toString(16).padStart(64, '0')}`;
+    chain.sent.push(request);
+    if (chain.mineWhen(request, chain.sent.length)) {
+      chain.receipts.set(hash, { hash, status: 1, blockNumber: 100 });
+      chain.pendingNonce = Math.max(chain.pendingNonce, request.nonce + 1);
+      chain.minedNonce = Math.max(chain.minedNonce, request.nonce + 1);
+    }
+    return { hash, gasLimit: request.gasLimit ?? 50_000n };
+  };
+  return chain;
+}
+
+function manager(chain, options = {}) {
+  const logged = [];
+  const txManager = new TransactionManager({
+    getSigner: () => chain.signer,
+    confirmationTimeoutMs: 20,
+    feeBumpPercent: 20,
+    maxFeePerGasCap: 10_000n,
+    maxReplacements: 3,
+    receiptPollMs: 5,
+    log: (emoji, message) => logged.push(message),
+    sendTransaction: chain.sendTransaction,
+    ...options,
+  });
+  return { txManager, logged };
+}
+
+const populate = async () => ({ to: ADDRESS, data: '0x' });
+
+test('Nonces: read from the chain once, then counted locally until a resync', async () => {
+  const chain = fakeChain();
+  const { txManager } = manager(chain);
+
+  await txManager.send('createRace', populate);
+  await txManager.send('setProbabilities', populate);
+  assert.deepEqual(chain.sent.map(request => request.nonce), [5, 6]);
+  assert.equal(chain.nonceReads, 1);
+
+  chain.pendingNonce = 9;
+  chain.minedNonce = 9;
+  txManager.resyncNonce();
+  await txManager.send('settleRace', populate);
+  assert.equal(chain.sent[2].nonce, 9);
+  assert.equal(chain.nonceReads, 2);
+});
+
+test('Nonces: a failed fee lookup does not take a nonce', async () => {
+  const chain = fakeChain();
+  chain.feeData = new Error('fee lookup failed');
+  const { txManager } = manager(chain);
+
+  await assert.rejects(txManager.send('createRace', populate), /fee lookup failed/);
+  assert.equal(chain.sent.length, 0);
+
+  chain.feeData = { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n };
+  await txManager.send('createRace', populate);
+  assert.equal(chain.sent[0].nonce, 5);
+});
+
+test('Nonces: a send the node rejects outright resyncs the counter', async () => {
+  const chain = fakeChain();
+  const { txManager } = manager(chain);
+
+  chain.sendError = new Error('insufficient funds');
+  await assert.rejects(txManager.send('createRace', populate), /insufficient funds/);
+  assert.equal(txManager.nextNonce, null);
+
+  chain.sendError = null;
+  await txManager.send('createRace', populate);
+  assert.equal(chain.sent[0].nonce, 5);
+});
+
+test('Fees: a stuck transaction is replaced at the same nonce with fees bumped', async () => {
+  const chain = fakeChain();
+  chain.mineWhen = (request, count) => count === 2;
+  const { txManager, logged } = manager(chain);
+
+  const { receipt, hashes, replacements } = await txManager.send('setProbabilities', populate);
+  assert.equal(replacements, 1);
+  assert.equal(receipt.hash, hashes[1]);
+  assert.deepEqual(chain.sent.map(request => request.nonce), [5, 5]);
+  assert.deepEqual(chain.sent.map(request => [request.maxFeePerGas, request.maxPriorityFeePerGas]), [[1000n, 100n], [1200n, 120n]]);
+  // The replacement keeps the gas limit the first attempt was sent with
+  assert.equal(chain.sent[1].gasLimit, 50_000n);
+  assert.ok(logged.includes('setProbabilities not confirmed after 0s - bumping fees by 20%'));
+});
+
+test('Fees: fee data above the cap is clamped, and no replacement is bid past it', async () => {
+  const chain = fakeChain({ feeData: { maxFeePerGas: 50_000n, maxPriorityFeePerGas: 20_000n } });
+  chain.mineWhen = () => false;
+  const { txManager, logged } = manager(chain);
+
+  await assert.rejects(txManager.send('settleRace', populate), (error) => {
+    assert.equal(error.code, 'TIMEOUT');
+    assert.equal(error.hashes.length, 1);
+    return true;
+  });
+  assert.equal(chain.sent.length, 1);
+  assert.equal(chain.sent[0].maxFeePerGas, 10_000n);
+  assert.equal(chain.sent[0].maxPriorityFeePerGas, 10_000n);
+  assert.ok(logged.includes('settleRace not confirmed and the fee cap reached - waiting on the last attempt'));
+  // The last attempt may still mine, so the next send re-reads the nonce
+  assert.equal(txManager.nextNonce, null);
+});